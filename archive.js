@@ -0,0 +1,99 @@
+const { Readable } = require('stream')
+
+/*
+ * Garden archive format
+ *
+ * An archive is a sequence of entries, each entry is encoded as:
+ *
+ *   <UInt32BE header length> <JSON header> <body>
+ *
+ * where `header.size` is the length of the body in bytes (0 if omitted).
+ * The first entry describes the archive and must contain `type` and
+ * `version`, the meaning of the following entries depend on the archive type.
+ */
+const ARCHIVE_VERSION = 1
+
+const encodeHeader = header => {
+  const json = Buffer.from(JSON.stringify(header))
+  const len = Buffer.alloc(4)
+  len.writeUInt32BE(json.length, 0)
+  return Buffer.concat([len, json])
+}
+
+const encode = (header, body = Buffer.alloc(0)) => {
+  return Buffer.concat([encodeHeader(Object.assign({}, header, { size: body.length })), body])
+}
+
+/*
+ * Encodes [header, body] pairs, a body is either a buffer or an async
+ * iterator of buffers adding up to `header.size`.
+ */
+async function * frames (source) {
+  for await (const [header, body] of source) {
+    if (!body || Buffer.isBuffer(body)) {
+      yield encode(header, body)
+      continue
+    }
+    yield encodeHeader(header)
+    let written = 0
+    for await (const chunk of body) {
+      written += chunk.length
+      yield chunk
+    }
+    if (written !== header.size) throw new Error(`expected ${header.size} bytes of body, got ${written}`)
+  }
+}
+
+/*
+ * Turns an async iterator of [header, body] pairs into a readable stream
+ */
+const pack = source => {
+  const iterator = frames(source)
+  return new Readable({
+    read () {
+      iterator.next()
+        .then(({ value, done }) => {
+          if (done) this.push(null)
+          else this.push(value)
+        })
+        .catch(err => this.destroy(err))
+    }
+  })
+}
+
+/*
+ * Parses a readable stream into an async iterator of { header, body } entries
+ */
+async function * unpack (stream) {
+  let head = Buffer.alloc(0)
+  let header = null
+  // Bodies are collected in pieces and concatenated once they are complete
+  let parts = []
+  let missing = 0
+  for await (let chunk of stream) {
+    while (chunk.length) {
+      if (!header) {
+        head = Buffer.concat([head, chunk])
+        chunk = Buffer.alloc(0)
+        if (head.length < 4) break
+        const len = head.readUInt32BE(0)
+        if (head.length < 4 + len) break
+        header = JSON.parse(head.slice(4, 4 + len))
+        chunk = head.slice(4 + len)
+        head = Buffer.alloc(0)
+        missing = header.size || 0
+      }
+      const part = chunk.slice(0, missing)
+      parts.push(part)
+      missing -= part.length
+      chunk = chunk.slice(part.length)
+      if (missing) break
+      yield { header, body: Buffer.concat(parts) }
+      header = null
+      parts = []
+    }
+  }
+  if (header || head.length) throw new Error('archive is truncated')
+}
+
+module.exports = { ARCHIVE_VERSION, pack, unpack }
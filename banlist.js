@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+
+/*
+ * Signed ban entries
+ *
+ * Entries are exchanged between gardens as
+ *
+ *   { key, reason, at, by, signature }
+ *
+ * where `by` is the hex encoded ed25519 public key of the garden that issued
+ * the ban and `signature` covers key, reason and at.
+ * Key pairs are raw ed25519 keys: a 32 byte publicKey and a secretKey that is
+ * either the 32 byte seed or the 64 byte seed + publicKey form used by sodium.
+ */
+
+// DER headers that turn raw ed25519 keys into the formats node understands
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex')
+
+const createKeyPair = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).slice(SPKI_PREFIX.length),
+    secretKey: privateKey.export({ type: 'pkcs8', format: 'der' }).slice(PKCS8_PREFIX.length)
+  }
+}
+
+const toPublicKey = raw => crypto.createPublicKey({
+  key: Buffer.concat([SPKI_PREFIX, Buffer.from(raw, 'hex')]),
+  format: 'der',
+  type: 'spki'
+})
+
+const toPrivateKey = raw => crypto.createPrivateKey({
+  key: Buffer.concat([PKCS8_PREFIX, Buffer.from(raw, 'hex').slice(0, 32)]),
+  format: 'der',
+  type: 'pkcs8'
+})
+
+const payload = ({ key, reason = null, at }) => Buffer.from(JSON.stringify([key, reason, at]))
+
+// returns a signed copy of { key, reason, at }
+const sign = (entry, { publicKey, secretKey }) => {
+  const signed = {
+    key: entry.key,
+    reason: entry.reason || null,
+    at: new Date(entry.at).toISOString(),
+    by: Buffer.from(publicKey, 'hex').toString('hex')
+  }
+  signed.signature = crypto.sign(null, payload(signed), toPrivateKey(secretKey)).toString('hex')
+  return signed
+}
+
+// Tells if an entry was signed by the key it claims
+const verify = entry => {
+  if (!entry || typeof entry.by !== 'string' || typeof entry.signature !== 'string') return false
+  try {
+    return crypto.verify(null, payload(entry), toPublicKey(entry.by), Buffer.from(entry.signature, 'hex'))
+  } catch (err) {
+    return false
+  }
+}
+
+module.exports = { createKeyPair, sign, verify }
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+const { join, resolve } = require('path')
+const { existsSync, createReadStream, createWriteStream } = require('fs')
+const { pipeline } = require('stream')
+const RAF = require('random-access-file')
+const level = require('level')
+const { defer } = require('deferinfer')
+const Garden = require('.')
+
+const USAGE = `Usage: coregarden <command> [args] [--options]
+
+Commands:
+  ls                     list cores with their meta and size
+                         --type=<type> --banned[=false] --deleted[=false]
+  info <key>             show meta, size and files of a core
+  files <key>            list the files of a core
+  du                     show storage usage, --top=<n> largest cores
+  ban <key>              ban and purge a core
+                         --reason=<text> --keep (don't purge) --force (pinned)
+  purge <key>            purge a core, --force (pinned)
+  pin <key>              protect a core from purge, ban and eviction
+  unpin <key>            lift the protection
+  export <key> [file]    write an archive of a core to file or stdout, --secrets
+  import [file]          import an archive from file or stdin
+  check                  verify the index against storage, --repair
+  gc                     remove files of deleted cores and orphans
+  migrate                upgrade the index to the current schema, --dry-run
+
+Options:
+  --dir=<path>           garden directory (default: $COREGARDEN_DIR or .)
+  --passphrase=<text>    passphrase of the built-in keystore
+                         (default: $COREGARDEN_PASSPHRASE)
+  --mapper=<type>:<module>
+                         core type to load besides hypercore and hyperdrive
+  --json                 print results as JSON
+`
+
+/*
+ * Commands receive the garden, positional args, flags and io streams.
+ * They return the result to print, setting ctx.code to signal failure.
+ */
+const COMMANDS = {
+  async ls (garden, args, flags) {
+    const filter = {}
+    if (flags.type) filter.type = flags.type
+    for (const name of ['banned', 'deleted']) {
+      if (name in flags) filter[name] = flags[name] !== 'false'
+    }
+    const res = []
+    for (const { key, value } of await garden.listMeta(filter)) {
+      const size = value.deleted ? 0 : await garden.sizeOf(key)
+      res.push(Object.assign({ key, size }, value))
+    }
+    return res
+  },
+
+  async info (garden, [key]) {
+    const meta = await garden.getMeta(requireKey(key))
+    const files = meta.deleted ? [] : await garden.listFiles(key)
+    const size = meta.deleted ? 0 : await garden.sizeOf(key)
+    return Object.assign({ key, size, files }, meta)
+  },
+
+  async files (garden, [key]) {
+    return garden.listFiles(requireKey(key))
+  },
+
+  async du (garden, args, flags) {
+    return garden.stats({ top: parseInt(flags.top) || 10 })
+  },
+
+  async ban (garden, [key], flags) {
+    await garden.ban(requireKey(key), !flags.keep, !!flags.force, { reason: flags.reason })
+    return { key, banned: true }
+  },
+
+  async purge (garden, [key], flags) {
+    await garden.purge(requireKey(key), false, !!flags.force)
+    return { key, deleted: true }
+  },
+
+  async pin (garden, [key]) {
+    await garden.pin(requireKey(key))
+    return { key, pinned: true }
+  },
+
+  async unpin (garden, [key]) {
+    await garden.unpin(requireKey(key))
+    return { key, pinned: false }
+  },
+
+  async export (garden, [key, file], flags, ctx) {
+    const archive = garden.exportCore(requireKey(key), { secrets: !!flags.secrets })
+    if (file) await defer(done => pipeline(archive, createWriteStream(file), done))
+    else {
+      // Leave stdout open for whoever owns it
+      archive.pipe(ctx.stdout, { end: false })
+      await defer(done => archive.once('end', done).once('error', done))
+    }
+  },
+
+  async import (garden, [file], flags, ctx) {
+    const core = await garden.importCore(file ? createReadStream(file) : ctx.stdin)
+    const key = core.key.hexSlice()
+    await core.release()
+    return { key, imported: true }
+  },
+
+  async check (garden, args, flags, ctx) {
+    const report = await garden.check({ repair: !!flags.repair })
+    if (!report.ok) ctx.code = 1
+    return report
+  },
+
+  async gc (garden) {
+    return { reclaimed: await garden.gc() }
+  },
+
+  async migrate (garden, args, flags) {
+    return garden.migrate({ dryRun: !!flags['dry-run'] })
+  }
+}
+
+// Human readable output, commands without a formatter print nothing
+const FORMAT = {
+  ls: list => list.map(({ key, type, size, banned, deleted, pinned }) => {
+    const state = [banned && 'banned', deleted && 'deleted', pinned && 'pinned'].filter(Boolean)
+    return [key, type || '-', formatBytes(size), state.join(',')].join('\t')
+  }),
+  info: info => Object.keys(info).map(field => `${field}: ${JSON.stringify(info[field])}`),
+  files: files => files,
+  du: stats => [
+    `total\t${formatBytes(stats.bytes)}\t${stats.cores} cores, ${stats.banned} banned, ${stats.deleted} deleted`,
+    ...Object.keys(stats.byType).map(type => {
+      const { bytes, cores } = stats.byType[type]
+      return `${type}\t${formatBytes(bytes)}\t${cores} cores`
+    }),
+    ...stats.largest.map(({ key, type, bytes }) => `${key}\t${formatBytes(bytes)}\t${type}`)
+  ],
+  ban: ({ key }) => [`banned ${key}`],
+  purge: ({ key }) => [`purged ${key}`],
+  pin: ({ key }) => [`pinned ${key}`],
+  unpin: ({ key }) => [`unpinned ${key}`],
+  import: ({ key }) => [`imported ${key}`],
+  check: ({ ok, issues }) => ok
+    ? ['ok']
+    : issues.map(i => [i.type, i.key || '-', i.path || '', i.repaired ? 'repaired' : ''].join('\t')),
+  gc: ({ reclaimed }) => [`reclaimed ${formatBytes(reclaimed)}`],
+  migrate: ({ from, to, steps }) => [
+    ...steps.map(({ version, description }) => `v${version}\t${description}`),
+    `schema v${from} -> v${to}`
+  ]
+}
+
+// Splits argv into positional arguments and --flag[=value] options
+const parseArgs = argv => {
+  const args = []
+  const flags = {}
+  for (const arg of argv) {
+    const m = arg.match(/^--([^=]+)(?:=(.*))?$/)
+    if (!m) args.push(arg)
+    else flags[m[1]] = typeof m[2] === 'undefined' ? true : m[2]
+  }
+  return { args, flags }
+}
+
+const requireKey = key => {
+  if (!key || !/^[0-9a-f]{64}$/i.test(key)) throw new Error('expected a 64 character hex key')
+  return key
+}
+
+const formatBytes = n => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let i = 0
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024
+    i++
+  }
+  return `${i ? n.toFixed(1) : n}${units[i]}`
+}
+
+// Mappers of the core types shipped with the garden and the ones requested
+const loadMappers = flags => {
+  const mappers = {
+    hypercore: require('hypercore'),
+    hyperdrive: require('hyperdrive')
+  }
+  if (typeof flags.mapper === 'string') {
+    const [type, name] = flags.mapper.split(':')
+    mappers[type] = require(resolve(name))
+  }
+  return mappers
+}
+
+/*
+ * Runs a command, returns a promise of the exit code.
+ * io.stdin, io.stdout and io.stderr default to the process streams.
+ */
+const main = async (argv, io = {}) => {
+  const stdout = io.stdout || process.stdout
+  const stderr = io.stderr || process.stderr
+  const stdin = io.stdin || process.stdin
+  const { args, flags } = parseArgs(argv)
+  const [command, ...rest] = args
+  if (!COMMANDS[command] || flags.help) {
+    stdout.write(USAGE)
+    return flags.help ? 0 : 1
+  }
+
+  const dir = resolve(flags.dir || process.env.COREGARDEN_DIR || '.')
+  const index = join(dir, 'index')
+  if (command !== 'import' && !existsSync(index)) {
+    stderr.write(`coregarden: no garden found in ${dir}\n`)
+    return 1
+  }
+
+  const passphrase = flags.passphrase || process.env.COREGARDEN_PASSPHRASE
+  const garden = Garden(path => RAF(join(dir, path)), level(index), {
+    mappers: loadMappers(flags),
+    secrets: passphrase ? { passphrase } : undefined
+  })
+  const ctx = { code: 0, stdin, stdout }
+  try {
+    // Outdated gardens can only be migrated
+    if (command !== 'migrate') await garden.ready()
+    const res = await COMMANDS[command](garden, rest, flags, ctx)
+    if (flags.json && typeof res !== 'undefined') stdout.write(JSON.stringify(res, null, 2) + '\n')
+    else if (FORMAT[command]) {
+      const lines = FORMAT[command](res)
+      if (lines.length) stdout.write(lines.join('\n') + '\n')
+    }
+  } catch (err) {
+    stderr.write(`coregarden: ${err.message}\n`)
+    ctx.code = 1
+  } finally {
+    await garden.close()
+  }
+  return ctx.code
+}
+
+module.exports = main
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code })
+}
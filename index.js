@@ -2,40 +2,343 @@ const sub = require('subleveldown')
 const assert = require('assert')
 const debug = require('debug')('garden')
 const eos = require('end-of-stream')
+const { pipeline, Readable } = require('stream')
+const { EventEmitter } = require('events')
 const { defer, infer } = require('deferinfer')
+const archive = require('./archive')
+const Keystore = require('./keystore')
+const banlist = require('./banlist')
+const { subKey, parseSubKey, checkEncoding } = require('./sublevel')
 
 const SYNC_TIMEOUT = 100
+// How long cores handed to the replication middleware stay open unused
+const LEASE_TIMEOUT = 30 * 1000
+// Version of the leveldb layout, bump it along with a new entry in MIGRATIONS
+const SCHEMA_VERSION = 2
+// Storage namespaces are zero-padded so that they sort in numeric order
+const FID_WIDTH = 10
+const COPY_CHUNK = 64 * 1024
 
-class CoreGarden {
+class CoreGarden extends EventEmitter {
   constructor (storage, lvl, opts = {}) {
+    super()
     this._id = Math.floor(Math.random() * 10000)
-    this.mappers = Object.assign({}, opts.mappers || {})
+    this.mappers = {}
     this.db = lvl
     this.glob = sub(lvl, 'G')
     this.key2fs = sub(lvl, 'K2FS')
     this.meta = sub(lvl, 'M', { valueEncoding: 'json' })
     this.rootStore = storage
-    this._iBatch = []
-    this._processing = false
     this.inodes = sub(lvl, 'I')
+    this.syncInterval = typeof opts.syncInterval === 'number' ? opts.syncInterval : SYNC_TIMEOUT
+    this._pending = new Map()
+    this._recorded = new Map()
+    this._flushing = Promise.resolve()
+    this._flushTimer = null
+    this.index = sub(lvl, 'X')
+    this.vault = sub(lvl, 'S')
+    this.bans = sub(lvl, 'B', { valueEncoding: 'json' })
+    // Access times are kept apart so that get() never rewrites meta
+    this.access = sub(lvl, 'A')
+    this._lastAccess = 0
+    // Cores written to since the last flush, their access time is current
+    this._written = new Set()
     this._feeds = {}
+    this._refs = {}
+    this._loading = {}
+    this._closing = {}
+    this._idle = {}
+    this.maxOpenCores = opts.maxOpenCores || Infinity
+    this.idleTimeout = opts.idleTimeout || 0
+    this.leaseTimeout = opts.leaseTimeout || LEASE_TIMEOUT
+    this._leases = {}
+    this._fidTypes = {}
     this._closed = false
+    this._usage = null
+    this._evicting = {}
+    this._paused = null
+    this._planting = {}
+    this._children = {}
+    this.quota = null
 
-    if (opts.secrets) {
-      assert(typeof opts.secrets.read === 'function', 'secrets.read must be a function')
-      assert(typeof opts.secrets.write === 'function', 'secrets.write must be a function')
-      this.externalSecrets = opts.secrets
+    for (const type of Object.keys(opts.mappers || {})) this.registerType(type, opts.mappers[type])
+
+    if (opts.quota) {
+      const { total, perType = {} } = opts.quota
+      assert(typeof total === 'undefined' || typeof total === 'number', 'quota.total must be a number')
+      assert(typeof perType === 'object', 'quota.perType must be a hash of type => bytes')
+      this.quota = { total, perType }
+      this._admitting = {}
+      this._evictLock = Promise.resolve()
+    }
+
+    if (opts.secrets) this.externalSecrets = secretsProvider(opts.secrets, this.vault)
+
+    this._ready = null
+    this.ready().catch(err => debug('Schema check failed', err.message))
+
+    this.setPolicy(opts.policy)
+
+    this.banList = null
+    if (opts.banList) {
+      const { keyPair, trusted = [] } = opts.banList
+      assert(Array.isArray(trusted), 'banList.trusted must be an array of public keys')
+      this.banList = { keyPair, trusted: trusted.map(k => Buffer.from(k, 'hex').toString('hex')) }
+    }
+
+    this._statsTimer = null
+    if (opts.statsInterval) {
+      this._statsTimer = setInterval(() => {
+        this.snapshot().catch(err => debug('Stats snapshot failed', err))
+      }, opts.statsInterval)
+      if (this._statsTimer.unref) this._statsTimer.unref()
+    }
+  }
+
+  /*
+   * Resolves once the stored schema version has been checked,
+   * new gardens are stamped with the current version.
+   * Recovers inode sizes if the garden wasn't closed cleanly.
+   * Rejects with SchemaVersionError if the garden needs to be migrated.
+   */
+  ready () {
+    if (!this._ready) {
+      this._ready = checkEncoding(this.db, this.glob, 'G')
+        .then(() => this._checkSchema())
+        .then(() => this._recoverInodes())
+      // Check again next time, the garden might have been migrated
+      this._ready.catch(() => { this._ready = null })
+    }
+    return this._ready
+  }
+
+  async _checkSchema () {
+    const version = await this.schemaVersion()
+    if (version === SCHEMA_VERSION) return
+    if (version === 0 && !(await this._hasData())) {
+      await this.glob.put('schema_version', SCHEMA_VERSION)
+      return
+    }
+    if (version > SCHEMA_VERSION) {
+      throw new SchemaVersionError(`garden schema v${version} is newer than supported v${SCHEMA_VERSION}`)
     }
+    throw new SchemaVersionError(`garden schema v${version} needs to be migrated to v${SCHEMA_VERSION}, run migrate()`)
   }
 
-  registerType (type, initFn) {
-    this.mappers[type] = initFn
+  // Sizes that were never flushed are lost on a crash,
+  // bring the records up to date with what storage reports.
+  async _recoverInodes () {
+    let clean = false
+    try {
+      clean = !!(await this.glob.get('clean_shutdown'))
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+    }
+    if (!clean) {
+      let recovered = 0
+      for (const { key: subPath, value } of await collect(this.inodes.createReadStream())) {
+        const size = await this._statFile(subPath)
+        if (size === null || size <= parseInt(value)) continue
+        this._account(subPath, size)
+        recovered++
+      }
+      await this.flush()
+      debug('Recovered', recovered, 'inode sizes')
+    }
+    // Until closed the garden is considered to have crashed
+    await this.glob.del('clean_shutdown')
+  }
+
+  // returns a promise of the stored schema version, 0 for unversioned gardens
+  async schemaVersion () {
+    try {
+      return parseInt(await this.glob.get('schema_version'))
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+      return 0
+    }
+  }
+
+  // Gardens that never planted a core have nothing to migrate
+  async _hasData () {
+    const [entry] = await collect(this.db.createKeyStream({ limit: 1 }))
+    return !!entry
+  }
+
+  /*
+   * Upgrades the leveldb layout to the current schema one version at a time,
+   * the version is stamped after every step so an interrupted migration
+   * resumes where it left off. Storage writes are held meanwhile.
+   * With opts.dryRun steps only report what they would change.
+   * returns a promise of { from, to, steps }
+   */
+  async migrate (opts = {}) {
+    const { dryRun = false } = opts
+    return this._exclusive(async () => {
+      await this.sync()
+      const from = await this.schemaVersion()
+      assert(from <= SCHEMA_VERSION, `garden schema v${from} is newer than supported v${SCHEMA_VERSION}`)
+      const steps = []
+      for (const migration of MIGRATIONS.filter(m => m.version > from)) {
+        debug('Migrating schema to', migration.version, dryRun ? '(dry run)' : '')
+        const report = await migration.up(this, dryRun)
+        steps.push(Object.assign({ version: migration.version, description: migration.description }, report))
+        if (!dryRun) await this.glob.put('schema_version', migration.version)
+      }
+      if (!dryRun) this._ready = null
+      return { from, to: dryRun ? from : SCHEMA_VERSION, steps }
+    })
+  }
+
+  /*
+   * Registers a mapper of a core type, either a bare factory function or
+   * { factory, version = 1, defaults = {}, serialize, deserialize }.
+   * Several versions of a type can be registered side by side,
+   * new cores are planted with the highest one.
+   */
+  registerType (type, mapper) {
+    const def = defineMapper(type, mapper)
+    this.mappers[type] = Object.assign({}, this.mappers[type], { [def.version]: def })
+  }
+
+  // Finds the mapper of a type, the highest version unless specified
+  _findMapper (type, version) {
+    const versions = this.mappers[type]
+    if (!versions) return
+    // Cores planted before mappers were versioned use the highest one
+    if (typeof version === 'undefined') version = Math.max(...Object.keys(versions))
+    return versions[version]
+  }
+
+  // Options a core was planted with, if it's mapper version is known
+  _storedOptions ({ type, typeVersion, options }) {
+    const mapper = this._findMapper(type, typeVersion)
+    return mapper && isOptions(options) ? mapper.deserialize(options) : {}
+  }
+
+  // Options offered by a peer, limited to the ones it's mapper accepts from peers
+  _peerOptions ({ type, typeVersion, options }) {
+    const mapper = this._findMapper(type, typeVersion)
+    if (!mapper || !isOptions(options)) return {}
+    const accepted = {}
+    for (const name of mapper.peerOptions) {
+      if (Object.prototype.hasOwnProperty.call(options, name)) accepted[name] = options[name]
+    }
+    return mapper.deserialize(serializeOptions(accepted))
+  }
+
+  _mapper (type, version) {
+    const def = this._findMapper(type, version)
+    if (def) return def
+    if (!this.mappers[type]) throw new UnknownTypeError(`unknown core type "${type}"`)
+    throw new UnknownTypeError(`no mapper registered for "${type}" version ${version}`)
   }
 
   async getMeta (key) {
     if (Buffer.isBuffer(key)) key = key.hexSlice()
     // if (this.meta.isClosed()) debugger
-    return this.meta.get(key)
+    const meta = await this.meta.get(key)
+    try {
+      meta.accessedAt = await this.access.get(key)
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+    }
+    return meta
+  }
+
+  // Records access time for LRU eviction, times are kept unique
+  // so that cores accessed within the same millisecond still have an order.
+  async _touch (key) {
+    this._lastAccess = Math.max(Date.now(), this._lastAccess + 1)
+    await this.access.put(key, new Date(this._lastAccess).toISOString())
+  }
+
+  // Counts the first write to a core after a flush as an access
+  _touchWritten (fid) {
+    if (this._written.has(fid)) return
+    const key = this._keyOf(fid)
+    if (!key) return
+    this._written.add(fid)
+    this._touch(key).catch(err => debug('Failed to record access', key, err.message))
+  }
+
+  /*
+   * Merges user-defined fields into the meta record,
+   * fields set to null are removed.
+   * returns a promise of the updated meta.
+   */
+  async setMeta (key, patch) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    for (const field of Object.keys(patch)) {
+      assert(RESERVED_META.indexOf(field) === -1, `"${field}" is managed by the garden`)
+    }
+    if (patch.tags) assert(Array.isArray(patch.tags), 'tags must be an array')
+    const meta = await this.meta.get(key)
+    for (const field of Object.keys(patch)) {
+      if (patch[field] === null) delete meta[field]
+      else meta[field] = patch[field]
+    }
+    await this._putMeta(key, meta)
+    return meta
+  }
+
+  /*
+   * Finds meta entries through the secondary index.
+   * Each property of q is either a value to match or a range
+   * { gt, gte, lt, lte }, all properties must match.
+   * Indexed: type, owner, tag, label ('name=value'), createdAt,
+   * banned and deleted.
+   * returns a promise of a list of { key, value } meta entries.
+   */
+  async query (q = {}) {
+    let keys = null
+    for (const field of Object.keys(q)) {
+      const matches = await this._queryIndex(field, q[field])
+      keys = keys ? keys.filter(k => matches.has(k)) : Array.from(matches)
+    }
+    if (!keys) return this.listMeta()
+    return Promise.all(keys.sort().map(async key => ({ key, value: await this.meta.get(key) })))
+  }
+
+  async _queryIndex (field, condition) {
+    const range = condition !== null && typeof condition === 'object' && !(condition instanceof Date)
+      ? condition
+      : { gte: condition, lte: condition }
+    const bounds = {}
+    for (const op of ['gt', 'gte', 'lt', 'lte']) {
+      if (typeof range[op] !== 'undefined') bounds[op] = indexValue(field, range[op])
+    }
+    const lower = typeof bounds.gte !== 'undefined' ? bounds.gte : bounds.gt
+    const upper = typeof bounds.lte !== 'undefined' ? bounds.lte : bounds.lt
+    const stream = this.index.createReadStream({
+      values: false,
+      gte: typeof lower !== 'undefined' ? `${field}!${lower}!` : `${field}!`,
+      lte: typeof upper !== 'undefined' ? `${field}!${upper}!\xff` : `${field}!\xff`
+    })
+    const keys = new Set()
+    for (const entry of await collect(stream)) {
+      // Values may contain separators, match them exactly.
+      const value = entry.slice(field.length + 1, entry.lastIndexOf('!'))
+      if (typeof bounds.gt !== 'undefined' && !(value > bounds.gt)) continue
+      if (typeof bounds.gte !== 'undefined' && !(value >= bounds.gte)) continue
+      if (typeof bounds.lt !== 'undefined' && !(value < bounds.lt)) continue
+      if (typeof bounds.lte !== 'undefined' && !(value <= bounds.lte)) continue
+      keys.add(entry.slice(entry.lastIndexOf('!') + 1))
+    }
+    return keys
+  }
+
+  /*
+   * Rebuilds the secondary index from the meta records
+   */
+  async reindex () {
+    const stale = await collect(this.index.createReadStream({ values: false }))
+    await this.index.batch(stale.map(key => ({ type: 'del', key })))
+    const ops = []
+    for (const { key, value } of await this.listMeta()) {
+      for (const k of indexKeys(key, value)) ops.push({ type: 'put', key: k, value: key })
+    }
+    await this.index.batch(ops)
   }
 
   async get (key, ...hyperopts) {
@@ -44,38 +347,264 @@ class CoreGarden {
     const meta = await this.getMeta(key)
     if (meta.banned) throw new BannedCoreError()
     if (meta.deleted) throw new DeletedCoreError()
-    if (!this._feeds[fid]) {
-      this._feeds[fid] = await this._load(fid, key, ...hyperopts)
+    // Children resolve to the structure that owns them
+    if (meta.parent) return this.get(meta.parent, ...hyperopts)
+    // Don't hand out a core that is on it's way out, the core might be
+    // released and closed by others while we wait so check again until the
+    // handle can be taken right away.
+    while (this._closing[fid] || !this._feeds[fid]) {
+      if (this._closing[fid]) {
+        await this._closing[fid]
+        continue
+      }
+      if (!this._loading[fid]) {
+        this._loading[fid] = this._load(fid, key, ...hyperopts)
+          .finally(() => { delete this._loading[fid] })
+      }
+      this._feeds[fid] = await this._loading[fid]
+    }
+    const handle = this._acquire(fid)
+    await this._touch(key)
+    await this._unloadExcess()
+    return handle
+  }
+
+  /*
+   * Wraps an open core in a handle, the core stays open until
+   * all of it's handles have been released.
+   * Calling close() on a handle releases it.
+   */
+  _acquire (fid) {
+    const core = this._feeds[fid]
+    const refs = this._refs[fid] = this._refs[fid] || new Set()
+    const ref = { acquiredAt: new Date(), stack: new Error('handle acquired').stack }
+    refs.add(ref)
+    this._wake(fid)
+
+    const release = async () => {
+      if (!refs.delete(ref)) return false
+      if (!refs.size && this._refs[fid] === refs) {
+        delete this._refs[fid]
+        await this._idleCore(fid)
+      }
+      return true
     }
-    return this._feeds[fid]
+
+    return new Proxy(core, {
+      get (target, prop) {
+        switch (prop) {
+          case 'release':
+            return release
+          case 'close':
+            return cb => infer(release(), cb)
+          default:
+            if (typeof target[prop] === 'function') return target[prop].bind(target)
+            else return target[prop]
+        }
+      }
+    })
+  }
+
+  // Decides the fate of a core that has no handles left,
+  // it's closed right away unless the garden keeps idle cores around.
+  async _idleCore (fid) {
+    if (this.maxOpenCores === Infinity && !this.idleTimeout) return this._closeCore(fid)
+    this._idle[fid] = { since: Date.now() }
+    if (this.idleTimeout) this._idle[fid].timer = this._idleTimer(fid)
+    await this._unloadExcess()
+  }
+
+  _idleTimer (fid) {
+    const timer = setTimeout(() => {
+      if (!this._idle[fid]) return
+      if (isReplicating(this._feeds[fid])) this._idle[fid].timer = this._idleTimer(fid)
+      else this._closeCore(fid).catch(err => debug('Failed unloading idle core', fid, err))
+    }, this.idleTimeout)
+    if (timer.unref) timer.unref()
+    return timer
+  }
+
+  /*
+   * Hands a core to the replication middleware. The middleware never
+   * releases what it's given, so the garden holds a single handle per core
+   * on it's behalf and releases it once the core stopped replicating.
+   */
+  async _lease (key) {
+    const owner = await this._ownerOf(key)
+    if (!this._leases[owner]) {
+      const handle = await this.get(owner)
+      // Another call might have leased the core meanwhile
+      if (this._leases[owner]) await handle.release()
+      else this._leases[owner] = { handle }
+    }
+    const lease = this._leases[owner]
+    clearTimeout(lease.timer)
+    lease.timer = this._leaseTimer(owner)
+    return lease.handle
+  }
+
+  _leaseTimer (key) {
+    const timer = setTimeout(() => {
+      const lease = this._leases[key]
+      if (!lease) return
+      if (isReplicating(lease.handle)) lease.timer = this._leaseTimer(key)
+      else {
+        delete this._leases[key]
+        lease.handle.release().catch(err => debug('Failed releasing lease', key.slice(0, 4), err))
+      }
+    }, this.leaseTimeout)
+    if (timer.unref) timer.unref()
+    return timer
+  }
+
+  _wake (fid) {
+    if (!this._idle[fid]) return
+    clearTimeout(this._idle[fid].timer)
+    delete this._idle[fid]
+  }
+
+  // Closes least recently released idle cores while above maxOpenCores,
+  // cores that are in use or replicating are left open.
+  async _unloadExcess () {
+    const excess = Object.keys(this._feeds).length - this.maxOpenCores
+    if (excess <= 0) return
+    const unloadable = Object.keys(this._idle)
+      .filter(fid => !isReplicating(this._feeds[fid]))
+      .sort((a, b) => this._idle[a].since - this._idle[b].since)
+      .slice(0, excess)
+    if (unloadable.length < excess) debug('Open core limit exceeded, all cores in use')
+    for (const fid of unloadable) await this._closeCore(fid)
+  }
+
+  async openHandles (key) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    const fid = await this.key2fs.get(key)
+    return Array.from(this._refs[fid] || [])
   }
 
   async _load (fid, key, ...hyperopts) {
     if (Buffer.isBuffer(key)) key = key.hexSlice()
-    const { type } = await this.meta.get(key)
+    await this.ready()
+    const { type, writable, typeVersion, options } = await this.meta.get(key)
+    const core = await this._open(fid, key, { type, typeVersion, options }, hyperopts)
+
+    // Secrets might have been gained or lost since last time
+    if (writable !== !!core.writable) {
+      const meta = await this.meta.get(key)
+      meta.writable = !!core.writable
+      await this._putMeta(key, meta)
+    }
+
+    debug(parseInt(fid), 'GET READY!')
+    this._emitCore('load', key, type, fid)
+    return core
+  }
+
+  // Opens the core stored in a namespace, rejects if it fails to get ready
+  async _open (fid, key, { type, typeVersion, options }, hyperopts = []) {
+    const mapper = this._mapper(type, typeVersion)
+    await this._unlockSecrets()
     debug('Fetching', type, fid, key.slice(0, 4))
+    this._fidTypes[fid] = type
     // const store = this._subStore(fid, key)
     const store = this._subStore(fid, Buffer.from(key, 'hex'))
-    const core = this.mappers[type].call(null, store, key, ...hyperopts)
-    await new Promise(resolve => core.ready(resolve))
+    // Options given to get() take precedence over the ones stored at plant
+    const opts = Object.assign({}, mapper.defaults, mapper.deserialize(options || {}), ...hyperopts.filter(isOptions))
+    const core = mapper.factory(store, key, opts)
+    try {
+      await coreReady(core)
+      // Detect failure, key deduction was only tested with hypercore and
+      // hyperdrive
+      assert(core.key.equals(store().detectedKey), 'black magic fail: key detection failed, secrets were misplaced during load')
+    } catch (err) {
+      // Failed cores might keep emitting errors while they shut down
+      if (typeof core.on === 'function') core.on('error', err => debug('Failed core', fid, err.message))
+      if (typeof core.close === 'function') core.close(() => {})
+      throw err
+    }
+    return core
+  }
 
-    // Detect failure, key deduction was only tested with hypercore and
-    // hyperdrive
-    assert(core.key.equals(store().detectedKey), 'black magic fail: key detection failed, secrets were misplaced during load')
+  /*
+   * Summarizes storage usage of the garden,
+   * opts.top sets the number of largest cores listed (default: 10).
+   * returns a promise of { bytes, cores, banned, deleted, openCores,
+   * pendingInodes, byType, largest }
+   */
+  async stats (opts = {}) {
+    const { top = 10 } = opts
+    const usage = await this._loadUsage()
+    const stats = {
+      bytes: usage.total,
+      cores: 0,
+      banned: 0,
+      deleted: 0,
+      openCores: Object.keys(this._feeds).length,
+      pendingInodes: this._pending.size,
+      byType: {},
+      largest: []
+    }
+    const sizes = []
+    for await (const { key, value: meta } of this.iterateMeta()) {
+      if (meta.parent || meta.tombstone) continue // counted along with the parent or banned in advance
+      const type = stats.byType[meta.type] = stats.byType[meta.type] ||
+        { cores: 0, banned: 0, deleted: 0, bytes: usage.types[meta.type] || 0 }
+      if (meta.banned) type.banned++
+      if (meta.deleted) type.deleted++
+      else type.cores++
+      if (meta.deleted) continue
+      const fid = await this.key2fs.get(key)
+      sizes.push({ key, type: meta.type, bytes: usage.fids[fid] || 0 })
+    }
+    for (const type of Object.values(stats.byType)) {
+      stats.cores += type.cores
+      stats.banned += type.banned
+      stats.deleted += type.deleted
+    }
+    stats.largest = sizes.sort((a, b) => b.bytes - a.bytes).slice(0, top)
+    return stats
+  }
 
-    debug(parseInt(fid), 'GET READY!')
-    return core
+  // returns a promise of stats() grouped by core type
+  async statsByType () {
+    return (await this.stats({ top: 0 })).byType
+  }
+
+  /*
+   * Records the current usage in the G sublevel for statsHistory(),
+   * returns a promise of the snapshot.
+   */
+  async snapshot () {
+    const { bytes, cores, byType } = await this.stats({ top: 0 })
+    const entry = { at: new Date(), bytes, cores, byType: {} }
+    for (const type of Object.keys(byType)) entry.byType[type] = byType[type].bytes
+    await this.glob.put(`stats!${entry.at.toISOString()}`, JSON.stringify(entry))
+    return entry
+  }
+
+  /*
+   * returns a promise of snapshots in chronological order,
+   * opts.since (Date) and opts.limit narrow down the series.
+   */
+  async statsHistory (opts = {}) {
+    const { since, limit = -1 } = opts
+    const s = this.glob.createValueStream({
+      gte: `stats!${since ? new Date(since).toISOString() : ''}`,
+      lt: 'stats!\xff',
+      limit
+    })
+    return (await collect(s)).map(value => {
+      const entry = JSON.parse(value)
+      entry.at = new Date(entry.at)
+      return entry
+    })
   }
 
   async sizeOf (key) {
     if (Buffer.isBuffer(key)) key = key.hexSlice()
     const fid = await this.key2fs.get(key)
     await this.sync()
-    const s = this.inodes.createReadStream({
-      keys: false,
-      gt: `${fid - 1}/`,
-      lt: `${fid + 1}/`
-    })
+    const s = this.inodes.createReadStream(Object.assign({ keys: false }, fidRange(fid)))
     return new Promise((resolve, reject) => {
       let sum = 0
       s.on('data', chunk => {
@@ -88,25 +617,192 @@ class CoreGarden {
   }
 
   async sync () {
-    if (this.processing) return this._syncDone
-    else return Promise.resolve()
-  }
-
-  _enqueueBatch (ops) {
-    ops.forEach(op => this._iBatch.push(op))
-    if (!this.processing) {
-      this.processing = true
-      this._syncDone = new Promise(resolve => {
-        setTimeout(async () => {
-          const mb = this._iBatch
-          this._iBatch = []
-          await this.inodes.batch(mb)
-          delete this._syncDone
-          this.processing = false
-          debug(`sync! ${mb.length}`) //, mb)
-          process.nextTick(resolve)
-        }, SYNC_TIMEOUT)
+    return this.flush()
+  }
+
+  /*
+   * Persists all pending inode sizes in a single batch,
+   * returns a promise that resolves once they're durable.
+   */
+  flush () {
+    clearTimeout(this._flushTimer)
+    this._flushTimer = null
+    // Flushes never overlap, each one reads what the previous wrote
+    const p = this._flushing.catch(() => {}).then(() => this._flush())
+    this._flushing = p
+    return p
+  }
+
+  async _flush () {
+    if (!this._pending.size) return
+    const pending = this._pending
+    this._pending = new Map()
+    this._written.clear()
+    try {
+      // Let records of new paths land first, they'd overwrite the sizes
+      for (const subPath of pending.keys()) await this._recorded.get(subPath)
+      const ops = []
+      for (const [subPath, { size, reset }] of pending) {
+        if (size === null) {
+          ops.push({ type: 'del', key: subPath })
+          continue
+        }
+        let stored = 0
+        if (!reset) {
+          try {
+            stored = parseInt(await this.inodes.get(subPath)) || 0
+          } catch (err) {
+            if (err.type !== 'NotFoundError') throw err
+          }
+        }
+        ops.push({ type: 'put', key: subPath, value: Math.max(stored, size) })
+      }
+      await this.inodes.batch(ops)
+      debug(`sync! ${ops.length}`)
+      this.emit('sync', { size: ops.length })
+    } catch (err) {
+      // Put the sizes back for the next attempt, newer updates take precedence
+      for (const [subPath, update] of pending) {
+        const newer = this._pending.get(subPath)
+        if (!newer) this._pending.set(subPath, update)
+        else if (newer.size !== null && !newer.reset) {
+          newer.size = Math.max(newer.size, update.size || 0)
+          newer.reset = update.reset
+        }
+      }
+      this._scheduleFlush()
+      throw err
+    }
+  }
+
+  /*
+   * Records the size of a file in memory until the next flush,
+   * sizes only grow until the file is destroyed (size null).
+   */
+  _account (subPath, size) {
+    const prev = this._pending.get(subPath)
+    if (size === null) {
+      this._recorded.delete(subPath)
+      this._pending.set(subPath, { size: null, reset: true })
+    } else if (!prev) {
+      this._pending.set(subPath, { size, reset: false })
+    } else {
+      // Files recreated after being destroyed start over
+      prev.size = Math.max(prev.size || 0, size)
+    }
+    this._scheduleFlush()
+  }
+
+  // Writes a record for paths seen for the first time, only size growth is
+  // held in memory so that recovery knows of files created since the last flush.
+  _recordInode (subPath) {
+    if (!this._recorded.has(subPath)) {
+      const recording = this.inodes.get(subPath).catch(err => {
+        if (err.type !== 'NotFoundError') throw err
+        return this.inodes.put(subPath, 0)
       })
+      this._recorded.set(subPath, recording)
+      recording.catch(() => this._recorded.delete(subPath))
+    }
+    return this._recorded.get(subPath)
+  }
+
+  _scheduleFlush () {
+    if (this._flushTimer) return
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null
+      this.flush().catch(err => debug('Flush failed', err))
+    }, this.syncInterval)
+    // Unflushed sizes are recovered on next start, don't hold the process for them
+    if (this._flushTimer.unref) this._flushTimer.unref()
+  }
+
+  async _loadUsage () {
+    if (this._usage) return this._usage
+    if (!this._usageLoading) {
+      this._usageLoading = (async () => {
+        await this.sync()
+        const types = {}
+        for (const { key, value } of await this.listMeta()) {
+          if (value.deleted || value.parent) continue
+          const fid = await this.key2fs.get(key)
+          types[fid] = value.type
+        }
+        Object.assign(types, this._fidTypes)
+
+        const usage = new DiskUsage()
+        for (const { key, value } of await collect(this.inodes.createReadStream())) {
+          const size = parseInt(value)
+          if (!Number.isNaN(size)) usage.track(key, size, types[key.split('/')[0]])
+        }
+        this._usage = usage
+        delete this._usageLoading
+        return usage
+      })()
+    }
+    return this._usageLoading
+  }
+
+  async _holdWrite (fid, subPath, size) {
+    while (this._paused) await this._paused
+    if (this.quota) await this._admit(fid, subPath, size)
+  }
+
+  // Queues a write of `size` bytes to `subPath` until the quota has room
+  // for it, writes to the same path are admitted in order.
+  _admit (fid, subPath, size) {
+    const prev = this._admitting[subPath] || Promise.resolve()
+    const p = prev.catch(() => {}).then(() => this._reserve(fid, subPath, size))
+    this._admitting[subPath] = p
+    p.catch(() => {}).then(() => {
+      if (this._admitting[subPath] === p) delete this._admitting[subPath]
+    })
+    return p
+  }
+
+  async _reserve (fid, subPath, size) {
+    const usage = await this._loadUsage()
+    const type = this._fidTypes[fid]
+    const growth = usage.growth(subPath, size)
+
+    // Writes issued while a core is being evicted (flushes on close) are let
+    // through, otherwise the eviction would wait on itself.
+    const over = this._overflow(type, growth)
+    if (!this._evicting[fid] && (over.total > 0 || over.type > 0)) {
+      // Serialize evictions so that concurrent writers don't purge
+      // the same cores.
+      const lock = this._evictLock.then(() => this._makeRoom(fid, type, growth))
+      this._evictLock = lock.catch(() => {})
+      await lock
+    }
+    usage.track(subPath, size, type)
+  }
+
+  async _makeRoom (fid, type, growth) {
+    const exclude = [fid]
+    let over = this._overflow(type, growth)
+    this.emit('quota', { key: this._keyOf(fid), type, fid: parseInt(fid), bytes: Math.max(over.type, over.total) })
+    if (over.type > 0) {
+      // Don't evict anything unless it frees enough space.
+      const reclaimable = sum(await this._evictionCandidates({ type, exclude }))
+      if (reclaimable < over.type) throw new QuotaExceededError(`quota for type "${type}" exceeded by ${over.type} bytes`)
+      await this.evict(over.type, { type, exclude })
+    }
+
+    over = this._overflow(type, growth)
+    if (over.total > 0) {
+      const reclaimable = sum(await this._evictionCandidates({ exclude }))
+      if (reclaimable < over.total) throw new QuotaExceededError(`garden quota exceeded by ${over.total} bytes`)
+      await this.evict(over.total, { exclude })
+    }
+  }
+
+  _overflow (type, growth) {
+    const { total, perType } = this.quota
+    const usage = this._usage
+    return {
+      total: typeof total === 'number' ? usage.total + growth - total : 0,
+      type: typeof perType[type] === 'number' ? (usage.types[type] || 0) + growth - perType[type] : 0
     }
   }
 
@@ -128,26 +824,51 @@ class CoreGarden {
     const override = typeof args[0] === 'function' ? args[0] : null
 
     const [ providedKey ] = args
-    if (providedKey) {
+    if (providedKey && !isOptions(providedKey)) {
       const isBanned = await this.isBanned(providedKey)
       if (isBanned) throw new BannedCoreError()
     }
-    assert(typeof this.mappers[type] === 'function', `Unknown core type "${type}`)
+    this._mapper(type)
 
     const fid = await this._counter()
+    // Shield the namespace from gc() until it's mapped to a key.
+    this._planting[fid] = true
+    const planted = {}
+    let handle = null
+    try {
+      handle = await this._plant(fid, type, override, args, planted)
+    } catch (err) {
+      await this._unplant(fid, planted.feed)
+      throw err
+    } finally {
+      delete this._planting[fid]
+    }
+    await this._commitChildren(fid)
+    return handle
+  }
+
+  async _plant (fid, type, override, args, planted) {
+    await this._unlockSecrets()
+    this._fidTypes[fid] = type
     const store = this._subStore(fid)
+    const mapper = this._mapper(type)
     let feed = null
+    let options
     if (override) {
       feed = await new Promise((resolve) => {
-        override(store, resolve, this.mappers[type])
+        override(store, resolve, mapper.factory)
       })
       assert(typeof feed.ready === 'function', 'Core should have been provided during manual planting')
     } else {
-      args.unshift(store) // prepend our store
+      const [key, given] = isOptions(args[0]) ? [null, args[0]] : args
+      const opts = Object.assign({}, mapper.defaults, given)
+      // Stored so that get() reopens the core the way it was planted
+      options = mapper.serialize(opts)
       debug('Planting', type, fid)
-      feed = this.mappers[type].apply(null, args)
+      feed = mapper.factory(store, key || null, opts)
     }
-    await new Promise(resolve => feed.ready(resolve))
+    planted.feed = feed
+    await defer(done => feed.ready(done))
     this._feeds[fid] = feed
     debug(fid, 'READY!')
     const key = feed.key.hexSlice()
@@ -157,26 +878,140 @@ class CoreGarden {
 
     // Detect failure, key deduction was only tested with hypercore and hyperdrive
     const detectedKey = store().detectedKey
-    if (detectedKey && feed.key.equals(detectedKey)) console.warn('black magic fail: key detection failed, secrets were misplaced during plant')
+    if (detectedKey && !feed.key.equals(detectedKey)) console.warn('black magic fail: key detection failed, secrets were misplaced during plant')
 
-    await this.key2fs.put(key, fid)
-    // await this.key2fs.put(fid, key) // also store the reverse index
-    await this.meta.put(key, { type, createdAt: new Date() })
-    return feed
+    await this._commitIndex(key, fid, {
+      type,
+      typeVersion: mapper.version,
+      options,
+      createdAt: new Date(),
+      writable: !!feed.writable
+    })
+    await this._touch(key)
+    this._emitCore('plant', key, type, fid)
+    const handle = this._acquire(fid)
+    await this._unloadExcess()
+    return handle
+  }
+
+  // Records a core that was discovered inside the namespace of another,
+  // such as the content feed of a hyperdrive.
+  _adoptChild (fid, child) {
+    this._children[fid] = this._children[fid] || []
+    if (this._children[fid].indexOf(child) === -1) this._children[fid].push(child)
+    // Children of cores being planted are committed along with their parent
+    if (this._planting[fid]) return
+    this._commitChildren(fid).catch(err => debug('Failed adopting child', child, err))
+  }
+
+  async _commitChildren (fid) {
+    const parent = this._keyOf(fid)
+    const children = this._children[fid]
+    if (!parent || !children) return
+    delete this._children[fid]
+
+    const meta = await this.meta.get(parent)
+    meta.children = meta.children || []
+    for (const child of children) {
+      if (meta.children.indexOf(child) === -1) meta.children.push(child)
+      await this._commitIndex(child, fid, { parent, createdAt: new Date(), writable: !!meta.writable })
+      debug('Adopted child', child.slice(0, 4), 'of', parent.slice(0, 4))
+    }
+    await this._putMeta(parent, meta)
+  }
+
+  // Resolves children to the key of the structure owning their storage
+  async _ownerOf (key) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    const { parent } = await this.meta.get(key)
+    return parent || key
+  }
+
+  // Applies changes made to a parent's meta to all of it's children
+  async _updateChildren (meta, update) {
+    for (const child of meta.children || []) {
+      const childMeta = await this.meta.get(child)
+      update(childMeta)
+      await this._putMeta(child, childMeta)
+    }
+  }
+
+  // Rolls back a failed plant, closing the feed and destroying
+  // whatever it managed to write.
+  async _unplant (fid, feed) {
+    debug('Rolling back plant', fid)
+    delete this._feeds[fid]
+    delete this._fidTypes[fid]
+    if (feed && typeof feed.close === 'function') {
+      await defer(done => feed.close(done)).catch(err => debug('Failed closing feed', fid, err))
+    }
+    // Secrets diverted to externalSecrets live outside the namespace,
+    // leave them alone if the key is held by another one.
+    if (feed && feed.key && this.externalSecrets) {
+      const key = feed.key.hexSlice()
+      let owner = `${fid}`
+      try {
+        owner = await this.key2fs.get(key)
+      } catch (err) {
+        if (err.type !== 'NotFoundError') throw err
+      }
+      if (owner === `${fid}`) await this._deleteSecrets(key)
+    }
+    await this.sync()
+    const files = (await this._inodesByFid())[fid] || []
+    await this._destroyFiles(fid, files.map(f => f.path))
+  }
+
+  // Maps key to fid and stores it's meta in a single batch
+  async _commitIndex (key, fid, meta) {
+    const ops = await this._metaOps(key, meta)
+    ops.push({ type: 'put', key: subKey('K2FS', key), value: `${fid}` })
+    await this.db.batch(ops)
+  }
+
+  // Stores meta and updates the secondary index in a single batch
+  async _putMeta (key, meta) {
+    await this.db.batch(await this._metaOps(key, meta))
+  }
+
+  async _metaOps (key, meta) {
+    let prev = null
+    try {
+      prev = await this.meta.get(key)
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+    }
+    const stale = prev ? indexKeys(key, prev) : []
+    const fresh = indexKeys(key, meta)
+    return [
+      ...stale.filter(k => fresh.indexOf(k) === -1)
+        .map(k => ({ type: 'del', key: subKey('X', k) })),
+      ...fresh.filter(k => stale.indexOf(k) === -1)
+        .map(k => ({ type: 'put', key: subKey('X', k), value: key })),
+      { type: 'put', key: subKey('M', key), value: JSON.stringify(meta) }
+    ]
   }
 
   close (cb) {
     debug('Closing garden')
     const p = defer(async done => {
+      await this.ready().catch(() => {})
+      clearInterval(this._statsTimer)
       const all = []
       for (const fid of Object.keys(this._feeds)) {
         all.push(this._closeCore(fid))
       }
       await Promise.all(all)
-      await this.sync()
+      await this.flush()
+      await this.glob.put('clean_shutdown', true)
       await defer(done => this.glob.close(done))
       await defer(done => this.key2fs.close(done))
       await defer(done => this.meta.close(done))
+      await defer(done => this.index.close(done))
+      if (this.externalSecrets instanceof Keystore) await this.externalSecrets.close()
+      await defer(done => this.vault.close(done))
+      await defer(done => this.bans.close(done))
+      await defer(done => this.access.close(done))
       await defer(done => this.db.close(done))
 
       this._closed = true
@@ -196,18 +1031,33 @@ class CoreGarden {
     return this._closeCore(fid)
   }
 
+  // Closes the core regardless of open handles
   async _closeCore (fid) {
     if (typeof this._feeds[fid] === 'undefined') return // no such open core.
-
-    // Tell core to close if it supports close method.
-    if (typeof this._feeds[fid].close === 'function') {
-      await defer(done => this._feeds[fid].close(done))
+    this._wake(fid)
+    if (!this._closing[fid]) {
+      // Leases end with the core
+      const lease = this._leases[this._keyOf(fid)]
+      if (lease) {
+        clearTimeout(lease.timer)
+        delete this._leases[this._keyOf(fid)]
+      }
+      this._closing[fid] = (async () => {
+        const key = this._keyOf(fid)
+        // Tell core to close if it supports close method.
+        if (typeof this._feeds[fid].close === 'function') {
+          await defer(done => this._feeds[fid].close(done))
+        }
+        delete this._feeds[fid]
+        delete this._refs[fid]
+        this._emitCore('close-core', key, this._fidTypes[fid], fid)
+        return true
+      })().finally(() => { delete this._closing[fid] })
     }
-    delete this._feeds[fid]
-    return true
+    return this._closing[fid]
   }
 
-  async _purge (key) {
+  async _purge (key, patch = {}) {
     if (Buffer.isBuffer(key)) key = key.hexSlice()
     const fid = await this.key2fs.get(key)
     const files = await this._listFiles(fid)
@@ -227,59 +1077,460 @@ class CoreGarden {
       })
       p.then(() => debug('Destroyed path:', path))
     }
+    if (this.externalSecrets) await this._deleteSecrets(key)
+
+    const meta = await this.meta.get(key)
+    meta.deleted = true
+    meta.deletedAt = new Date()
+    Object.assign(meta, patch)
+    await this._putMeta(key, meta)
+    await this._updateChildren(meta, child => {
+      child.deleted = true
+      child.deletedAt = meta.deletedAt
+    })
+    debug('Core successfully purged', key)
+    this._emitCore('purge', key, meta.type, fid)
+    return true
+  }
+
+  // Cores silently open read-only when their secrets can't be read,
+  // let providers that support it refuse early instead.
+  async _unlockSecrets () {
+    const provider = this.externalSecrets
+    if (provider && typeof provider.unlock === 'function') await provider.unlock()
+  }
+
+  // Removes all secrets stored for a core and it's children
+  async _deleteSecrets (key) {
+    for (const id of await this.externalSecrets.list(`${key}:`)) {
+      await this.externalSecrets.delete(id)
+    }
+  }
+
+  /*
+   * Moves the secret keys of all cores from one secrets provider to another,
+   * accepts anything opts.secrets does and null for local storage.
+   * Every secret is copied and verified before any is removed from it's
+   * source, on failure the copies are discarded and nothing changes.
+   * The garden keeps it's secrets in `to` from then on.
+   * With opts.dryRun only the report is produced.
+   * returns a promise of { writable, readOnly, migrated } where writable
+   * lists cores with secrets in `from` and readOnly those without.
+   */
+  async migrateSecrets (from, to, opts = {}) {
+    const { dryRun = false } = opts
+    if (from) from = secretsProvider(from, this.vault)
+    if (to) to = secretsProvider(to, this.vault)
+    assert(from !== to, 'source and destination are the same')
+    assert(!(from instanceof Keystore && to instanceof Keystore && from.db === to.db),
+      'use rotateSecretsKey() to re-encrypt the keystore')
+
+    return this._exclusive(async () => {
+      const { report, secrets } = await this._collectSecrets(from)
+      if (dryRun) return report
+
+      const written = []
+      try {
+        for (const secret of secrets) {
+          await this._writeSecret(to, secret)
+          written.push(secret)
+          const copy = await this._readSecret(to, secret)
+          assert(copy && copy.equals(secret.data), `secret of ${secret.key} failed verification`)
+        }
+      } catch (err) {
+        for (const secret of written) await this._removeSecret(to, secret).catch(debug)
+        throw err
+      }
+
+      this.externalSecrets = to || undefined
+      for (const secret of secrets) {
+        await this._removeSecret(from, secret)
+          .catch(err => debug('Failed removing migrated secret', secret.key, err))
+      }
+      report.migrated = secrets.length
+      debug('Migrated', secrets.length, 'secrets')
+      return report
+    })
+  }
+
+  /*
+   * Re-encrypts the built-in keystore under a new passphrase.
+   * Accepts opts.dryRun and reports like migrateSecrets().
+   * Throws InvalidPassphraseError if oldPassphrase is wrong.
+   */
+  async rotateSecretsKey (oldPassphrase, newPassphrase, opts = {}) {
+    const { dryRun = false } = opts
+    const keystore = this.externalSecrets
+    assert(keystore instanceof Keystore, 'secrets are not kept in the built-in keystore')
+    return this._exclusive(async () => {
+      await keystore.verify(oldPassphrase)
+      const { report } = await this._collectSecrets(keystore)
+      if (!dryRun) report.migrated = await keystore.rotate(oldPassphrase, newPassphrase)
+      return report
+    })
+  }
+
+  // Reads the secrets of all live cores from a provider, null for local storage
+  async _collectSecrets (provider) {
+    await this.sync()
+    const report = { writable: [], readOnly: [], migrated: 0 }
+    const secrets = []
+    for (const { key, value: meta } of await this.listMeta({ deleted: false })) {
+      if (meta.parent) continue // stored along with the parent
+      const fid = await this.key2fs.get(key)
+      const sizes = {}
+      for (const { key: subPath, value } of await collect(this.inodes.createReadStream(fidRange(fid)))) sizes[subPath.slice(fid.length + 1)] = parseInt(value)
+
+      let found = 0
+      for (const path of Object.keys(sizes).filter(path => path.match(/secret_key$/))) {
+        const secret = { key, fid, path, size: sizes[path] }
+        secret.data = await this._readSecret(provider, secret)
+        if (!secret.data || !secret.data.length) continue
+        secrets.push(secret)
+        found++
+      }
+      report[found ? 'writable' : 'readOnly'].push(key)
+    }
+    return { report, secrets }
+  }
+
+  async _readSecret (provider, { key, fid, path, size }) {
+    if (!provider) {
+      return this._readFile(this.rootStore(`${fid}/${path}`), size)
+        .catch(() => null) // no local file
+    }
+    const ctx = { key: Buffer.from(key, 'hex'), path, localNamespace: fid, size }
+    return provider.read(`${key}:${path}`, ctx)
+  }
+
+  async _writeSecret (provider, { key, fid, path, data }) {
+    if (!provider) {
+      const handle = this.rootStore(`${fid}/${path}`)
+      await defer(done => handle.write(0, data, done))
+      return defer(done => handle.close(done))
+    }
+    const ctx = { key: Buffer.from(key, 'hex'), path, localNamespace: fid }
+    return provider.write(`${key}:${path}`, data, ctx)
+  }
+
+  async _removeSecret (provider, { key, fid, path }) {
+    if (!provider) {
+      const handle = this.rootStore(`${fid}/${path}`)
+      return defer(done => handle.destroy(done))
+    }
+    return provider.delete(`${key}:${path}`)
+  }
+
+  async listMeta (opts = {}) {
+    return collect(this.createMetaStream(opts))
+  }
+
+  /*
+   * Iterates meta entries in key order without buffering them.
+   * Filters: type, since (createdAt), banned, deleted and writable (booleans).
+   * Paginate with limit and cursor, where cursor is the key of
+   * the last entry of the previous page.
+   */
+  async * iterateMeta (opts = {}) {
+    const { limit = -1, cursor } = opts
+    if (limit === 0) return
+    const it = this.meta.iterator(cursor ? { gt: cursor } : {})
+    let count = 0
+    try {
+      while (true) {
+        const [key, value] = await defer(done => it.next((err, k, v) => done(err, [k, v])))
+        if (typeof key === 'undefined') return
+        if (!matchMeta(value, opts)) continue
+        yield { key, value }
+        if (++count === limit) return
+      }
+    } finally {
+      await defer(done => it.end(done))
+    }
+  }
+
+  createMetaStream (opts = {}) {
+    return readableFrom(this.iterateMeta(opts))
+  }
+
+  /*
+   * Iterates live cores as { key, meta, core } descriptors,
+   * accepts the same options as iterateMeta().
+   * With opts.load set to false cores are not opened and
+   * descriptors come without core.
+   */
+  async * iterateCores (opts = {}) {
+    const { load = true } = opts
+    const filter = Object.assign({ banned: false, deleted: false }, opts)
+    for await (const { key, value: meta } of this.iterateMeta(filter)) {
+      if (meta.parent) continue // children are listed through their parent
+      const entry = { key, meta }
+      if (load) entry.core = await this.get(key)
+      yield entry
+    }
+  }
+
+  async listCores (opts = {}) {
+    const res = []
+    for await (const entry of this.iterateCores(opts)) res.push(entry)
+    return res
+  }
+
+  /* Deletes local content
+   * and marks key as banned so that it won't be re-downloaded
+   * refuses to ban pinned cores unless forced.
+   */
+  async ban (key, purge = true, force = false, opts = {}) {
+    key = await this._ownerOf(key)
+    const meta = await this.meta.get(key)
+    if (meta.banned) return true
+    if (meta.pinned && !force) throw new PinnedCoreError()
+    meta.banned = true
+    meta.bannedAt = new Date()
+    meta.pinned = false
+    await this._putMeta(key, meta)
+    await this._updateChildren(meta, child => {
+      child.banned = true
+      child.bannedAt = meta.bannedAt
+    })
+
+    if (purge) await this._purge(key)
+    if (this.banList) await this._recordBan(key, opts)
+
+    await this.sync()
+    this._emitCore('ban', key, meta.type, await this.key2fs.get(key))
+    return true
+  }
+
+  // Signs local bans, bans received from peers are kept as they came
+  async _recordBan (key, { reason, entry }) {
+    if (!entry) {
+      if (!this.banList.keyPair) return
+      entry = banlist.sign({ key, reason, at: new Date() }, this.banList.keyPair)
+    }
+    await this.bans.put(key, entry)
+  }
+
+  // returns a promise of the signed ban entries published to peers
+  async listBans () {
+    return collect(this.bans.createValueStream())
+  }
+
+  /*
+   * Applies ban entries signed by trusted peers,
+   * entries that don't verify or come from untrusted peers are ignored.
+   * Keys unknown to the garden are banned in advance.
+   * returns a promise of the keys that were banned.
+   */
+  async applyBans (entries) {
+    assert(this.banList, 'ban list exchange is not enabled')
+    const applied = []
+    for (const entry of entries) {
+      if (this.banList.trusted.indexOf(entry.by) === -1) continue
+      // Peers send their whole list with every description, entries
+      // applied before need no verification
+      if (await this._hasBan(entry)) continue
+      if (!banlist.verify(entry)) {
+        debug('Ignoring ban with invalid signature', entry.key)
+        continue
+      }
+      if (await this.isBanned(entry.key)) continue
+      try {
+        await this.ban(entry.key, true, false, { entry })
+      } catch (err) {
+        if (err.type === 'PinnedCoreError') {
+          debug('Not applying ban of pinned core', entry.key)
+          continue
+        }
+        if (err.type !== 'NotFoundError') throw err
+        await this._banUnknown(entry)
+      }
+      applied.push(entry.key)
+    }
+    return applied
+  }
+
+  // Tells if the exact same ban entry was stored before
+  async _hasBan ({ key, signature }) {
+    try {
+      return (await this.bans.get(key)).signature === signature
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+      return false
+    }
+  }
+
+  // Leaves a tombstone that stops the key from being planted
+  async _banUnknown (entry) {
+    const now = new Date()
+    await this._putMeta(entry.key, { tombstone: true, banned: true, bannedAt: now, deleted: true, deletedAt: now })
+    await this.bans.put(entry.key, entry)
+    this.emit('ban', { key: entry.key })
+  }
+
+  /* Purges core from store
+   * optionally bans it to prevent re-download
+   * refuses to purge pinned cores unless forced.
+   */
+  async purge (key, ban = false, force = false) {
+    if (ban) return this.ban(key, true, force)
+    key = await this._ownerOf(key)
+    if (!force && await this.isPinned(key)) throw new PinnedCoreError()
+    await this._purge(key, { pinned: false })
+    await this.sync()
+    return true
+  }
+
+  /* Lifts a ban, cores that were purged by the ban
+   * are restored into a fresh storage namespace.
+   * opts.by and opts.reason are recorded in meta history.
+   */
+  async unban (key, opts = {}) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    const meta = await this.meta.get(key)
+    if (!meta.banned) return true
+    meta.banned = false
+    delete meta.bannedAt
+    appendHistory(meta, 'unban', opts)
+    await this._putMeta(key, meta)
+    await this.bans.del(key)
+    await this._updateChildren(meta, child => {
+      child.banned = false
+      delete child.bannedAt
+    })
+
+    // Keys banned before they were known have nothing to restore
+    if (meta.deleted && !meta.tombstone) await this._replant(key, meta, opts)
+    return true
+  }
+
+  /* Re-plants a purged core with it's original type,
+   * the core starts out empty and can be re-replicated.
+   * returns a promise of the restored core.
+   */
+  async restore (key, opts = {}) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    const meta = await this.meta.get(key)
+    if (meta.banned) throw new BannedCoreError()
+    if (!meta.deleted) return this.get(key)
+    return this._replant(key, meta, opts)
+  }
+
+  async _replant (key, meta, opts) {
+    meta.deleted = false
+    delete meta.deletedAt
+    delete meta.evictedAt
+    const core = await this.plant(meta.type, key, this._storedOptions(meta))
+    // plant() resets meta, bring back the previous record along with the
+    // mapper version and writability the core was replanted with.
+    const { typeVersion, options, writable } = await this.meta.get(key)
+    Object.assign(meta, { typeVersion, options, writable })
+    meta.restoredAt = new Date()
+    appendHistory(meta, 'restore', opts)
+    await this._putMeta(key, meta)
+    // Children come back along with the new namespace of their parent
+    const fid = await this.key2fs.get(key)
+    for (const child of meta.children || []) {
+      const childMeta = await this.meta.get(child)
+      childMeta.deleted = false
+      childMeta.writable = writable
+      delete childMeta.deletedAt
+      delete childMeta.evictedAt
+      await this._commitIndex(child, fid, childMeta)
+    }
+    return core
+  }
+
+  /* Protects core from purge, ban and eviction
+   */
+  async pin (key) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    const meta = await this.meta.get(key)
+    if (meta.pinned) return true
+    meta.pinned = true
+    meta.pinnedAt = new Date()
+    await this._putMeta(key, meta)
+    return true
+  }
 
+  async unpin (key) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
     const meta = await this.meta.get(key)
-    meta.deleted = true
-    meta.deletedAt = new Date()
-    await this.meta.put(key, meta)
-    debug('Core successfully purged', key)
+    if (!meta.pinned) return true
+    meta.pinned = false
+    delete meta.pinnedAt
+    await this._putMeta(key, meta)
     return true
   }
-  async listMeta () {
-    const stream = this.meta.createReadStream()
-    const res = []
-    stream.on('data', entry => res.push(entry))
-    return defer(done => {
-      eos(stream, err => done(err, res))
-    })
+
+  async isPinned (key) {
+    try {
+      const { pinned } = await this.getMeta(key)
+      return !!pinned
+    } catch (err) {
+      if (err.type === 'NotFoundError') return false
+      throw err
+    }
   }
-  async listCores () {
+
+  async listPinned () {
     const metas = await this.listMeta()
-    return Promise.all(metas
-      .filter(meta => !(meta.value.deleted || meta.value.banned))
-      .map(async meta => {
-        const core = await this.get(meta.key)
-        return { key: meta.key, meta: meta.value, core }
-      })
-    )
+    return metas.filter(meta => meta.value.pinned)
   }
 
-  /* Deletes local content
-   * and marks key as banned so that it won't be re-downloaded
+  /* Purges least recently used cores until at least `bytes` have been
+   * reclaimed, pinned, banned and deleted cores are never evicted.
+   * returns the amount of bytes freed.
    */
-  async ban (key, purge = true) {
-    if (Buffer.isBuffer(key)) key = key.hexSlice()
-    const meta = await this.meta.get(key)
-    if (meta.banned) return true
-    meta.banned = true
-    meta.bannedAt = new Date()
-    await this.meta.put(key, meta)
-
-    if (purge) await this._purge(key)
+  async evict (bytes, opts = {}) {
+    let freed = 0
+    for (const { key, fid, size } of await this._evictionCandidates(opts)) {
+      if (freed >= bytes) break
+      this._evicting[fid] = true
+      try {
+        await this._purge(key, { evictedAt: new Date() })
+      } finally {
+        delete this._evicting[fid]
+      }
+      debug('Evicted', key.slice(0, 4), size)
+      freed += size
+    }
+    return freed
+  }
 
-    await this.sync()
-    return true
+  // Lists evictable cores ordered by least recent access
+  async _evictionCandidates ({ type, exclude = [] }) {
+    const usage = await this._loadUsage()
+    const skip = exclude.map(String)
+    const candidates = []
+    const access = {}
+    for await (const { key, value } of this.access.createReadStream()) access[key] = value
+    for (const { key, value: meta } of await this.listMeta()) {
+      if (meta.pinned || meta.banned || meta.deleted || meta.parent) continue
+      if (type && meta.type !== type) continue
+      const fid = await this.key2fs.get(key)
+      const size = usage.fids[fid] || 0
+      if (!size || skip.indexOf(fid) !== -1 || this._evicting[fid]) continue
+      // Cores in use are left alone, like in _unloadExcess()
+      if ((this._refs[fid] && this._refs[fid].size) || isReplicating(this._feeds[fid])) continue
+      // Records from before access times were kept apart hold them in meta
+      const lastAccess = new Date(access[key] || meta.accessedAt || meta.createdAt).getTime()
+      candidates.push({ key, fid, size, lastAccess })
+    }
+    return candidates.sort((a, b) => a.lastAccess - b.lastAccess)
   }
 
-  /* Purges core from store
-   * optionally bans it to prevent re-download
+  /*
+   * Tells if the garden holds the secret key of a core.
+   * Cores recorded before writability was tracked are loaded once to find out.
    */
-  async purge (key, ban = false) {
-    if (ban) return this.ban(key, true)
-    if (Buffer.isBuffer(key)) key = key.hexSlice()
-    await this._purge(key)
-    await this.sync()
-    return true
+  async isWritable (key) {
+    const meta = await this.getMeta(key)
+    if (typeof meta.writable === 'boolean') return meta.writable
+    const core = await this.get(key)
+    const writable = !!core.writable
+    await core.release()
+    return writable
   }
 
   async isBanned (key) {
@@ -292,7 +1543,17 @@ class CoreGarden {
     }
   }
 
+  _emitCore (event, key, type, fid) {
+    this.emit(event, { key, type, fid: parseInt(fid) })
+  }
+
+  _keyOf (fid) {
+    const core = this._feeds[fid]
+    return core && core.key ? core.key.hexSlice() : undefined
+  }
+
   async _counter () {
+    await this.ready()
     let n = 0
     try {
       n = await this.glob.get('feed_inc')
@@ -300,7 +1561,7 @@ class CoreGarden {
       if (err.type !== 'NotFoundError') throw err
     }
     await this.glob.put('feed_inc', ++n)
-    return n
+    return encodeFid(n)
   }
 
   async listFiles (key) {
@@ -311,11 +1572,7 @@ class CoreGarden {
 
   async _listFiles (fid) {
     await this.sync()
-    const s = this.inodes.createReadStream({
-      values: false,
-      gt: `${fid - 1}/`,
-      lt: `${fid + 1}/`
-    })
+    const s = this.inodes.createReadStream(Object.assign({ values: false }, fidRange(fid)))
     return new Promise((resolve, reject) => {
       const list = []
       const n = (fid + '').length + 1
@@ -325,6 +1582,344 @@ class CoreGarden {
     })
   }
 
+  /*
+   * Verifies that the K2FS, M and I sublevels agree with each other
+   * and with the files on storage.
+   * returns a promise of a report { ok, issues }, with opts.repair set
+   * each issue is fixed where possible and marked as repaired.
+   */
+  async check (opts = {}) {
+    const { repair = false } = opts
+    await this.sync()
+    const issues = []
+    const report = async (issue, fix) => {
+      issue.repaired = false
+      if (repair && fix) {
+        await fix()
+        issue.repaired = true
+      }
+      issues.push(issue)
+    }
+
+    const metas = {}
+    for (const { key, value } of await this.listMeta()) metas[key] = value
+    const mappings = {}
+    for (const { key, value } of await collect(this.key2fs.createReadStream())) mappings[key] = value
+
+    // Every live core needs a storage namespace
+    for (const key of Object.keys(metas)) {
+      const meta = metas[key]
+      if (meta.deleted || typeof mappings[key] !== 'undefined') continue
+      await report({ type: 'missing-fid', key }, async () => {
+        meta.deleted = true
+        meta.deletedAt = new Date()
+        await this._putMeta(key, meta)
+      })
+    }
+
+    // Every namespace needs a meta record
+    const owners = {}
+    for (const key of Object.keys(mappings)) {
+      const fid = mappings[key]
+      if (metas[key]) {
+        // Children share the namespace of their parent
+        if (!metas[key].parent) owners[fid] = key
+        continue
+      }
+      await report({ type: 'missing-meta', key, fid }, () => this.key2fs.del(key))
+    }
+
+    const namespaces = await this._inodesByFid()
+    for (const fid of Object.keys(namespaces)) {
+      const files = namespaces[fid]
+      const key = owners[fid]
+      const paths = files.map(f => f.path)
+      if (this._planting[fid]) continue
+      if (!key) {
+        await report({ type: 'orphan', fid, files: paths }, () => this._destroyFiles(fid, paths))
+        continue
+      }
+      if (metas[key].deleted) {
+        await report({ type: 'deleted-files', key, fid, files: paths }, () => this._destroyFiles(fid, paths))
+        continue
+      }
+
+      for (const { path, size } of files) {
+        // Externally stored secrets have no local file
+        if (this.externalSecrets && path.match(/secret_key$/)) continue
+        const subPath = `${fid}/${path}`
+        const actual = await this._statFile(subPath)
+        if (actual === null || actual === size) continue
+        if (actual === -1) {
+          await report({ type: 'missing-file', key, fid, path }, () => this.inodes.del(subPath))
+        } else {
+          await report({ type: 'size-mismatch', key, fid, path, expected: size, actual }, async () => {
+            await this.inodes.put(subPath, actual)
+            if (this._usage) {
+              this._usage.release(subPath)
+              this._usage.track(subPath, actual, metas[key].type)
+            }
+          })
+        }
+      }
+    }
+
+    return { ok: issues.length === 0, issues }
+  }
+
+  /*
+   * Removes files in namespaces that no key maps to, left behind by failed
+   * plants, and files of deleted cores whose destruction never completed.
+   * returns a promise of the amount of bytes reclaimed.
+   */
+  async gc () {
+    await this.sync()
+    const metas = {}
+    for (const { key, value } of await this.listMeta()) metas[key] = value
+    const owners = {}
+    for (const { key, value } of await collect(this.key2fs.createReadStream())) owners[value] = key
+
+    const namespaces = await this._inodesByFid()
+    let reclaimed = 0
+    for (const fid of Object.keys(namespaces)) {
+      if (this._planting[fid]) continue
+      const key = owners[fid]
+      // Cores without meta are left for check() to sort out
+      if (key && (!metas[key] || !metas[key].deleted)) continue
+      const files = namespaces[fid]
+      debug('Collecting', fid, key ? 'deleted' : 'orphan', files.length)
+      await this._destroyFiles(fid, files.map(f => f.path))
+      reclaimed += sum(files)
+    }
+    return reclaimed
+  }
+
+  // Groups all inode records by storage namespace
+  async _inodesByFid () {
+    const namespaces = {}
+    for (const { key, value } of await collect(this.inodes.createReadStream())) {
+      const i = key.indexOf('/')
+      const fid = key.slice(0, i)
+      namespaces[fid] = namespaces[fid] || []
+      namespaces[fid].push({ path: key.slice(i + 1), size: parseInt(value) })
+    }
+    return namespaces
+  }
+
+  // Resolves the actual length of a file, -1 if it's missing
+  // or null if the storage can't tell.
+  async _statFile (subPath) {
+    const handle = this.rootStore(subPath)
+    if (!handle.statable) return null
+    try {
+      const { size } = await defer(done => handle.stat(done))
+      await defer(done => handle.close(done))
+      return size
+    } catch (err) {
+      if (err.code === 'ENOENT') return -1
+      throw err
+    }
+  }
+
+  // Copies a file between storage paths in chunks
+  async _copyFile (from, to, size) {
+    const src = this.rootStore(from)
+    const dst = this.rootStore(to)
+    for (let offset = 0; offset < size; offset += COPY_CHUNK) {
+      const data = await defer(done => src.read(offset, Math.min(COPY_CHUNK, size - offset), done))
+      await defer(done => dst.write(offset, data, done))
+    }
+    await defer(done => src.close(done))
+    await defer(done => dst.close(done))
+  }
+
+  // Removes files and their inode records, missing files are ignored
+  async _destroyFiles (fid, paths) {
+    for (const path of paths) {
+      const subPath = `${fid}/${path}`
+      const handle = this.rootStore(subPath)
+      await defer(done => handle.destroy(err => done(err && err.code !== 'ENOENT' ? err : null)))
+      this._account(subPath, null)
+      if (this._usage) this._usage.release(subPath)
+    }
+    await this.sync()
+  }
+
+  /*
+   * Exports a core as an archive stream containing it's meta record and
+   * all files in it's storage namespace.
+   * Secret keys are left out unless opts.secrets is set.
+   */
+  exportCore (key, opts = {}) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
+    return archive.pack(this._exportEntries(key, opts))
+  }
+
+  async * _exportEntries (key, { secrets = false }) {
+    const meta = await this.meta.get(key)
+    if (meta.banned) throw new BannedCoreError()
+    if (meta.deleted) throw new DeletedCoreError()
+    const fid = await this.key2fs.get(key)
+    const files = (await this._listFiles(fid))
+      .filter(path => secrets || !path.match(/secret_key$/))
+
+    yield [{ type: 'core', version: archive.ARCHIVE_VERSION, key, meta, files }]
+
+    const store = this._subStore(fid, Buffer.from(key, 'hex'))
+    for (const path of files) {
+      const size = parseInt(await this.inodes.get(`${fid}/${path}`))
+      yield [{ type: 'file', path, size }, this._readChunks(store(path), size)]
+    }
+  }
+
+  // Reads a file in COPY_CHUNK sized pieces
+  async * _readChunks (handle, size) {
+    if (!size) return
+    try {
+      for (let offset = 0; offset < size; offset += COPY_CHUNK) {
+        yield await defer(done => handle.read(offset, Math.min(COPY_CHUNK, size - offset), done))
+      }
+    } finally {
+      await defer(done => handle.close(done))
+    }
+  }
+
+  async _readFile (handle, size) {
+    if (!size) return Buffer.alloc(0)
+    const data = await defer(done => handle.read(0, size, done))
+    await defer(done => handle.close(done))
+    return data
+  }
+
+  /*
+   * Imports a core from an archive produced by exportCore()
+   * into a new storage namespace.
+   * returns a promise of the imported core.
+   */
+  async importCore (stream) {
+    const entries = archive.unpack(stream)
+    const { value: first } = await entries.next()
+    assert(first && first.header.type === 'core', 'not a core archive')
+    const { key, meta, version } = first.header
+    assert(version === archive.ARCHIVE_VERSION, `unsupported archive version ${version}`)
+
+    let existing = null
+    try {
+      existing = await this.getMeta(key)
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+    }
+    if (existing && existing.banned) throw new BannedCoreError()
+    assert(!existing || existing.deleted, 'core already exists')
+    this._mapper(meta.type, meta.typeVersion)
+
+    const fid = await this._counter()
+    this._fidTypes[fid] = meta.type
+    this._planting[fid] = true
+    let core = null
+    try {
+      const store = this._subStore(fid, Buffer.from(key, 'hex'))
+      for await (const { header, body } of entries) {
+        if (header.type !== 'file') continue
+        const handle = store(header.path)
+        await defer(done => handle.write(0, body, done))
+        await defer(done => handle.close(done))
+      }
+      // Verify the files against the key before indexing them
+      core = await this._open(fid, key, meta)
+      assert(core.key.hexSlice() === key, 'archive files do not match it\'s key')
+      meta.importedAt = new Date()
+      meta.writable = !!core.writable
+      await this._commitIndex(key, fid, meta)
+    } catch (err) {
+      await this._unplant(fid, core)
+      throw err
+    } finally {
+      delete this._planting[fid]
+    }
+    this._feeds[fid] = core
+    await this._commitChildren(fid)
+    this._emitCore('load', key, meta.type, fid)
+    return this.get(key)
+  }
+
+  /*
+   * Writes an archive of the whole garden index and all core files
+   * to outStream. Storage writes are held until the backup is complete.
+   */
+  async backup (outStream) {
+    return this._exclusive(async () => {
+      await this.sync()
+      await defer(done => pipeline(archive.pack(this._backupEntries()), outStream, done))
+    })
+  }
+
+  // Runs fn while holding all storage writes
+  async _exclusive (fn) {
+    while (this._paused) await this._paused
+    let resume
+    this._paused = new Promise(resolve => { resume = resolve })
+    try {
+      return await fn()
+    } finally {
+      this._paused = null
+      resume()
+    }
+  }
+
+  async * _backupEntries () {
+    yield [{ type: 'garden', version: archive.ARCHIVE_VERSION }]
+    // Meta writes aren't held during backups, reading all sublevels through
+    // a single iterator of the root db dumps them from one snapshot.
+    const sublevels = this._sublevels()
+    const inodes = []
+    for (const entry of await collect(this.db.createReadStream())) {
+      const { name, key } = parseSubKey(entry.key.toString())
+      if (!sublevels[name]) continue
+      let value = entry.value.toString()
+      if (JSON_SUBLEVELS.indexOf(name) !== -1) value = JSON.parse(value)
+      if (name === 'I') inodes.push({ subPath: key, size: parseInt(value) })
+      yield [{ type: 'db', sublevel: name, key, value }]
+    }
+
+    for (const { subPath, size } of inodes) {
+      // Externally stored secrets have no local file
+      if (this.externalSecrets && subPath.match(/secret_key$/)) continue
+      yield [{ type: 'file', path: subPath, size }, this._readChunks(this.rootStore(subPath), size)]
+    }
+  }
+
+  async _restoreBackup (stream) {
+    let empty = true
+    try {
+      await this.glob.get('feed_inc')
+      empty = false
+    } catch (err) {
+      if (err.type !== 'NotFoundError') throw err
+    }
+    assert(empty, 'backups can only be restored into an empty garden')
+
+    const entries = archive.unpack(stream)
+    const { value: first } = await entries.next()
+    assert(first && first.header.type === 'garden', 'not a garden backup')
+    assert(first.header.version === archive.ARCHIVE_VERSION, `unsupported archive version ${first.header.version}`)
+
+    const sublevels = this._sublevels()
+    for await (const { header, body } of entries) {
+      if (header.type === 'db') {
+        await sublevels[header.sublevel].put(header.key, header.value)
+      } else if (header.type === 'file') {
+        const handle = this.rootStore(header.path)
+        await defer(done => handle.write(0, body, done))
+        await defer(done => handle.close(done))
+      }
+    }
+  }
+
+  _sublevels () {
+    return { G: this.glob, K2FS: this.key2fs, M: this.meta, I: this.inodes, X: this.index, S: this.vault, B: this.bans, A: this.access }
+  }
+
   _subStore (namespace, key = null) {
     let detectedKey = key
     return path => {
@@ -341,8 +1936,8 @@ class CoreGarden {
         get (target, prop, args) {
           // debug(prop, subPath)
           switch (prop) {
-            case 'write':
-              return (...op) => {
+            case 'write': {
+              const write = (...op) => {
                 const [ offset, data ] = op
 
                 if (detectedKey && self._feeds[detectedKey]) {
@@ -350,26 +1945,25 @@ class CoreGarden {
                   debugger
                 }
 
-                // TODO: not thread safe nor batch safe.
-                self.inodes.get(subPath, (err, v) => {
-                  let size = offset + data.length
-                  if (!err) size = Math.max(size, v)
-                  self._enqueueBatch([{ type: 'put', key: subPath, value: size }])
-                })
+                if (self._usage) self._usage.track(subPath, offset + data.length, self._fidTypes[namespace])
+
+                self._account(subPath, offset + data.length)
+                self._touchWritten(namespace)
 
                 // Hijack key & secret_key writes
                 let m
-                if (self.externalSecrets && (m = subPath.match(/(secret_)?key$/))) {
+                if ((m = subPath.match(/(secret_)?key$/))) {
                   const isSecret = !!m[1]
-                  assert(offset === 0, 'black magic fail: expected offset to be zero')
+                  if (self.externalSecrets) assert(offset === 0, 'black magic fail: expected offset to be zero')
 
                   if (!isSecret && !detectedKey) {
                     // Let key writes fall through but make a copy of them
                     detectedKey = data
-                  } else if (!isSecret && detectedKey && !detectedKey.equals(data)) {
+                  } else if (!isSecret && !detectedKey.equals(data)) {
                     // Subcore detected
                     debug('Subcore detected', `Owner: ${detectedKey.hexSlice()}\nStorepoint: ${subPath}\nSub:${data.hexSlice()}`)
-                  } else if (isSecret) {
+                    self._adoptChild(namespace, data.hexSlice())
+                  } else if (isSecret && self.externalSecrets) {
                     // Redirect secret_key writes to externalSecrets interface
                     assert(detectedKey, 'black magic fail: detected secret before key')
 
@@ -377,16 +1971,33 @@ class CoreGarden {
                     // but sadly dosen't make sense during reads.
                     // const isRootKey = detectedKey.equal(data.slice(32))
 
-                    return self.externalSecrets.write(`${detectedKey.hexSlice()}:${path}`, op, {
+                    const next = typeof op[2] === 'function' ? op[2] : () => {}
+                    return self.externalSecrets.write(`${detectedKey.hexSlice()}:${path}`, data, {
                       key: detectedKey,
                       path,
                       localNamespace: namespace
-                    })
+                    }).then(() => next(null), next)
                   }
                 }
 
-                return target[prop].apply(target, op)
+                // Record new paths before anything lands on disk
+                self._recordInode(subPath).then(() => target[prop].apply(target, op), err => {
+                  const next = op[2]
+                  if (typeof next === 'function') next(err)
+                  else debug('Write rejected', subPath, err.message)
+                })
+              }
+              if (!self.quota && !self._paused) return write
+              // Hold the write while paused or until the quota has room for it
+              return (...op) => {
+                const [ offset, data, next ] = op
+                self._holdWrite(namespace, subPath, offset + data.length)
+                  .then(() => write(...op), err => {
+                    if (typeof next === 'function') next(err)
+                    else debug('Write rejected', subPath, err.message)
+                  })
               }
+            }
             case 'read':
               return (...op) => {
                 const [ offset, size, next ] = op
@@ -408,22 +2019,15 @@ class CoreGarden {
 
                   // we can't request a secret for unknown cores.
                   if (isSecret && detectedKey) {
-                    const errHandler = (err, data) => {
-                      // on error, scapegoat back to original storage to
-                      // avoid forwarding errors not related to random-access.
-                      if (err || !Buffer.isBuffer(data)) {
-                        // at least log the original error to mitigate future headaches
-                        if (err) console.warn(data, err)
-                        return target[prop].apply(target, op)
-                      }
-                      return next(null, data)
-                    }
                     // Redirect secret_key reads to externalSecrets interface
                     return self.externalSecrets.read(
                       `${detectedKey.hexSlice()}:${path}`,
-                      [offset, size, errHandler],
-                      { key: detectedKey, path, localNamespace: namespace }
-                    )
+                      { key: detectedKey, path, localNamespace: namespace, size }
+                    ).then(data => {
+                      // Secrets that were never redirected remain in storage
+                      if (!Buffer.isBuffer(data)) return target[prop].apply(target, op)
+                      next(null, data.slice(0, size))
+                    }, next)
                   }
                 }
 
@@ -431,10 +2035,11 @@ class CoreGarden {
               }
             case 'destroy':
               return (...a) => {
-                self._enqueueBatch([{ type: 'del', key: subPath }])
+                self._account(subPath, null)
+                if (self._usage) self._usage.release(subPath)
                 if (self.externalSecrets && path.match(/secret_key$/)) {
-                  // TODO: maybe redirect delete/destroy to externalSecrets
-                  // since they're diverted there's nothing to destroy and RAF gets stuck
+                  // Diverted secrets have no local file and RAF gets stuck destroying it,
+                  // _purge() deletes them through the provider instead.
                   target.emit('destroy')
                 } else return target[prop].apply(target, ...a)
               }
@@ -449,18 +2054,58 @@ class CoreGarden {
     }
   }
 
+  /*
+   * Replaces the replication policy, see README for the fields.
+   */
+  setPolicy (policy = {}) {
+    const keys = list => list && list.map(key => Buffer.isBuffer(key) ? key.hexSlice() : key)
+    if (policy.share) assert(typeof policy.share === 'function', 'policy.share must be a function')
+    if (policy.budget) assert(typeof policy.budget === 'number', 'policy.budget must be a number')
+    this.policy = Object.assign({}, policy, { allow: keys(policy.allow), deny: keys(policy.deny) })
+  }
+
+  // Tells if a core may be offered to peers
+  _mayShare (key, meta) {
+    const { share, tags } = this.policy
+    if (!keyAllowed(this.policy, key)) return false
+    if (tags && !(meta.tags || []).some(tag => tags.indexOf(tag) !== -1)) return false
+    if (share && !share(key, meta)) return false
+    return true
+  }
+
+  // Tells why an offered core may not be stored, if at all
+  async _refuseOffer (key, meta) {
+    const { types, budget } = this.policy
+    if (!keyAllowed(this.policy, key)) return 'key'
+    if (types && types.indexOf(meta.type) === -1) return 'type'
+    if (typeof budget === 'number') {
+      const { total } = await this._loadUsage()
+      if (total + (meta.size || 0) > budget) return 'budget'
+    }
+  }
+
   /*
    * Decentstack middleware support
    */
   async share (next) {
-    const list = await this.listCores().catch(next)
-    next(null, list.map(i => i.core))
+    try {
+      const cores = []
+      for await (const { key, meta } of this.iterateCores({ load: false })) {
+        if (this._mayShare(key, meta)) cores.push(await this._lease(key))
+      }
+      next(null, cores)
+    } catch (err) { next(err) }
   }
 
   async describe ({ key, meta }, next) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
     try {
       const meta = await this.getMeta(key)
+      const owner = meta.parent ? await this.getMeta(meta.parent) : meta
+      if (!this._mayShare(meta.parent || key, owner)) return next()
       meta.origin = 'garden'
+      meta.size = await this.sizeOf(key)
+      if (this.banList) meta.bans = await this.listBans()
       next(null, meta)
     } catch (err) {
       if (err.type === 'NotFoundError') next()
@@ -469,31 +2114,56 @@ class CoreGarden {
   }
 
   async store ({ key, meta }, next) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
     let core
     try {
+      if (this.banList && Array.isArray(meta.bans)) await this.applyBans(meta.bans)
       core = await this.get(key)
     } catch (err) {
+      if (err.type === 'BannedCoreError') return next() // refuse banned offers
       if (err.type !== 'NotFoundError') return next(err)
     }
 
-    // accept all existing cores
-    if (core) return next(null, core)
+    // accept existing cores unless their key was denied since
+    if (core) {
+      try {
+        const leased = keyAllowed(this.policy, key) ? await this._lease(key) : undefined
+        await core.release()
+        return next(null, leased)
+      } catch (err) { return next(err) }
+    }
 
     // Ignore non garden cores
     if (meta.origin !== 'garden') return next()
 
     // Ignore core if there's no type info attached or if we don't know
     // how to handle the type
-    if (!meta.type || typeof this.mappers[meta.type] !== 'function') return next()
+    if (!meta.type || !this._findMapper(meta.type, meta.typeVersion)) return next()
     try {
-      core = await this.plant(meta.type, key)
+      const reason = await this._refuseOffer(key, meta)
+      if (reason) {
+        debug('Refused offer', key.slice(0, 4), reason)
+        return next()
+      }
+      // Bans may have arrived while the offer was inspected
+      if (await this.isBanned(key)) return next()
+      // Plant with the options of the remote that the mapper accepts from peers
+      const planted = await this.plant(meta.type, key, this._peerOptions(meta))
+      core = await this._lease(key)
+      await planted.release()
       next(null, core)
-    } catch (err) { next(err) }
+    } catch (err) {
+      if (err.type === 'BannedCoreError') return next() // banned while planting
+      next(err)
+    }
   }
 
   async resolve (key, next) {
+    if (Buffer.isBuffer(key)) key = key.hexSlice()
     try {
-      const core = await this.get(key)
+      const owner = await this._ownerOf(key)
+      if (!this._mayShare(owner, await this.getMeta(owner))) return next()
+      const core = await this._lease(owner)
       next(null, core)
     } catch (err) {
       if (err.type === 'NotFoundError') next() // not our core, ignore it.
@@ -502,7 +2172,271 @@ class CoreGarden {
   }
 }
 
+// Checks a key against the allow and deny lists of a policy
+const keyAllowed = ({ allow, deny }, key) => {
+  if (deny && deny.indexOf(key) !== -1) return false
+  return !allow || allow.indexOf(key) !== -1
+}
+
+const appendHistory = (meta, action, { by, reason } = {}) => {
+  meta.history = meta.history || []
+  meta.history.push({ action, at: new Date(), by, reason })
+}
+
+/*
+ * Schema migrations in order, each upgrading the layout of the previous
+ * version to it's own. up(garden, dryRun) returns a promise of a report.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'build the secondary meta index',
+    async up (garden, dryRun) {
+      const { length } = await garden.listMeta()
+      if (!dryRun) await garden.reindex()
+      return { entries: length }
+    }
+  },
+  {
+    version: 2,
+    description: 'zero-pad storage namespaces so they sort in numeric order',
+    async up (garden, dryRun) {
+      const report = { namespaces: 0, files: 0 }
+      const outdated = fid => /^\d+$/.test(fid) && encodeFid(fid) !== fid
+      const ops = []
+      const moved = []
+      const namespaces = await garden._inodesByFid()
+      for (const fid of Object.keys(namespaces).filter(outdated)) {
+        const files = namespaces[fid]
+        report.namespaces++
+        report.files += files.length
+        if (dryRun) continue
+        for (const { path, size } of files) {
+          const from = `${fid}/${path}`
+          const to = `${encodeFid(fid)}/${path}`
+          ops.push({ type: 'del', key: subKey('I', from) })
+          ops.push({ type: 'put', key: subKey('I', to), value: size })
+          // Externally stored secrets and missing files have nothing to copy
+          if (garden.externalSecrets && path.match(/secret_key$/)) continue
+          if (await garden._statFile(from) === -1) continue
+          await garden._copyFile(from, to, size)
+        }
+        moved.push([fid, files.map(f => f.path)])
+      }
+      for (const { key, value } of await collect(garden.key2fs.createReadStream())) {
+        if (outdated(value)) ops.push({ type: 'put', key: subKey('K2FS', key), value: encodeFid(value) })
+      }
+      if (dryRun) return report
+
+      // Files are copied before the index is switched over in one batch,
+      // the originals are only removed once nothing refers to them.
+      await garden.db.batch(ops)
+      for (const [fid, paths] of moved) await garden._destroyFiles(fid, paths)
+      garden._usage = null
+      return report
+    }
+  }
+]
+
+// Storage namespace of the n-th core
+const encodeFid = n => `${parseInt(n)}`.padStart(FID_WIDTH, '0')
+
+// Range of inode keys within a storage namespace
+const fidRange = fid => ({ gt: `${fid}/`, lt: `${fid}/\xff` })
+
+// Sublevels storing values as JSON
+const JSON_SUBLEVELS = ['M', 'B']
+
+// Resolves once a core is ready, hypercore only reports failures to open
+// as 'error' events and never calls back.
+const coreReady = core => defer(done => {
+  const onerror = err => done(err)
+  if (typeof core.once === 'function') core.once('error', onerror)
+  core.ready(err => {
+    if (typeof core.removeListener === 'function') core.removeListener('error', onerror)
+    done(err)
+  })
+})
+
+// Checks for connected peers on the core or the feeds of a hyperdrive
+const isReplicating = core => !!core && [core, core.metadata, core.content]
+  .some(feed => feed && Array.isArray(feed.peers) && feed.peers.length > 0)
+
+// Meta fields that only the garden itself may write
+const RESERVED_META = [
+  'type', 'createdAt', 'accessedAt', 'banned', 'bannedAt', 'deleted', 'deletedAt',
+  'pinned', 'pinnedAt', 'evictedAt', 'restoredAt', 'importedAt', 'history',
+  'writable', 'typeVersion', 'options', 'tombstone'
+]
+
+// Normalizes bare factories and mapper definitions
+const defineMapper = (type, mapper) => {
+  if (typeof mapper === 'function') mapper = { factory: mapper }
+  const {
+    factory,
+    version = 1,
+    defaults = {},
+    serialize = serializeOptions,
+    deserialize = opts => opts,
+    peerOptions = []
+  } = mapper || {}
+  assert(typeof factory === 'function', `mapper of "${type}" must be a factory function or { factory }`)
+  assert(Number.isInteger(version) && version > 0, `version of "${type}" must be a positive integer`)
+  assert(isOptions(defaults), `defaults of "${type}" must be a hash of options`)
+  assert(Array.isArray(peerOptions), `peerOptions of "${type}" must be an array of option names`)
+  return { type, version, factory, defaults, serialize, deserialize, peerOptions }
+}
+
+// Options are stored as JSON, codecs and buffers have to be passed again
+const serializeOptions = opts => {
+  const res = {}
+  for (const name of Object.keys(opts)) {
+    const value = opts[name]
+    if (value === null || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1) res[name] = value
+  }
+  return res
+}
+
+const isOptions = arg => !!arg && typeof arg === 'object' && !Buffer.isBuffer(arg)
+
+// Index values are strings that sort like the values they represent
+const indexValue = (field, value) => {
+  if (field === 'createdAt' || value instanceof Date) return new Date(value).toISOString()
+  return `${value}`
+}
+
+// Secondary index entries of a meta record, in the form field!value!key
+const indexKeys = (key, meta) => {
+  const fields = [
+    ['type', meta.type],
+    ['createdAt', meta.createdAt],
+    ['owner', meta.owner],
+    ['banned', !!meta.banned],
+    ['deleted', !!meta.deleted]
+  ]
+  for (const tag of meta.tags || []) fields.push(['tag', tag])
+  const labels = meta.labels || {}
+  for (const name of Object.keys(labels)) fields.push(['label', `${name}=${labels[name]}`])
+  return fields
+    .filter(([, value]) => typeof value !== 'undefined' && value !== null)
+    .map(([field, value]) => `${field}!${indexValue(field, value)}!${key}`)
+}
+
+const matchMeta = (meta, { type, since, banned, deleted, writable }) => {
+  if (type && meta.type !== type) return false
+  if (since && new Date(meta.createdAt) < new Date(since)) return false
+  if (typeof banned === 'boolean' && !!meta.banned !== banned) return false
+  if (typeof deleted === 'boolean' && !!meta.deleted !== deleted) return false
+  if (typeof writable === 'boolean' && !!meta.writable !== writable) return false
+  return true
+}
+
+// Exposes an async iterator as a readable object stream
+const readableFrom = source => {
+  const iterator = source[Symbol.asyncIterator]()
+  return new Readable({
+    objectMode: true,
+    read () {
+      iterator.next()
+        .then(({ value, done }) => this.push(done ? null : value))
+        .catch(err => this.destroy(err))
+    },
+    // Let the source clean up when the stream is abandoned
+    destroy (err, cb) {
+      iterator.return().then(() => cb(err), cb)
+    }
+  })
+}
+
+const collect = stream => {
+  const res = []
+  stream.on('data', entry => res.push(entry))
+  return defer(done => eos(stream, err => done(err, res)))
+}
+
+const sum = entries => entries.reduce((n, e) => n + e.size, 0)
+
+// In-memory tally of the inode index, used for quota enforcement
+class DiskUsage {
+  constructor () {
+    this.total = 0
+    this.paths = {}
+    this.fids = {}
+    this.types = {}
+    this._typeOf = {}
+  }
+
+  growth (subPath, size) {
+    return Math.max(0, size - (this.paths[subPath] || 0))
+  }
+
+  track (subPath, size, type) {
+    const growth = this.growth(subPath, size)
+    const fid = subPath.split('/')[0]
+    if (type) this._typeOf[fid] = type
+    if (!growth) return 0
+    this.paths[subPath] = size
+    this._add(fid, growth)
+    return growth
+  }
+
+  release (subPath) {
+    const size = this.paths[subPath]
+    if (!size) return 0
+    delete this.paths[subPath]
+    this._add(subPath.split('/')[0], -size)
+    return size
+  }
+
+  _add (fid, n) {
+    this.total += n
+    this.fids[fid] = (this.fids[fid] || 0) + n
+    const type = this._typeOf[fid]
+    if (type) this.types[type] = (this.types[type] || 0) + n
+  }
+}
+
+/*
+ * Resolves opts.secrets into a secrets provider:
+ * { passphrase } selects the built-in encrypted keystore,
+ * providers implementing read/write/delete/list are used as is.
+ */
+const secretsProvider = (secrets, db) => {
+  if (typeof secrets.passphrase === 'string') return new Keystore(db, secrets.passphrase)
+  assert(typeof secrets.read === 'function', 'secrets.read must be a function')
+  assert(typeof secrets.write === 'function', 'secrets.write must be a function')
+  if (typeof secrets.delete === 'function' && typeof secrets.list === 'function') return secrets
+  return legacySecrets(secrets)
+}
+
+// Adapts the callback based { read, write } interface of earlier versions
+const legacySecrets = backend => ({
+  read: (id, ctx) => defer(done => backend.read(id, [0, ctx.size, (err, data) => {
+    // on error, scapegoat back to original storage to
+    // avoid forwarding errors not related to random-access.
+    if (err) console.warn(data, err)
+    done(null, err ? undefined : data)
+  }], ctx)),
+  write: (id, data, ctx) => defer(done => backend.write(id, [0, data, done], ctx)),
+  delete: async () => {},
+  list: async () => []
+})
+
 module.exports = (...a) => new CoreGarden(...a)
+module.exports.Keystore = Keystore
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION
+module.exports.createBanKeyPair = banlist.createKeyPair
+
+/*
+ * Restores a backup produced by Garden#backup() into
+ * an empty storage and leveldb instance.
+ * returns a promise of the restored garden.
+ */
+module.exports.restore = async (stream, storage, lvl, opts = {}) => {
+  const garden = new CoreGarden(storage, lvl, opts)
+  await garden._restoreBackup(stream)
+  return garden
+}
 
 class BannedCoreError extends Error {
   constructor (msg = 'the core is blacklisted', ...params) {
@@ -521,3 +2455,39 @@ class DeletedCoreError extends Error {
     this.name = this.type = 'DeletedCoreError'
   }
 }
+
+class QuotaExceededError extends Error {
+  constructor (msg = 'storage quota exceeded', ...params) {
+    super(msg, ...params)
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) Error.captureStackTrace(this, QuotaExceededError)
+    this.name = this.type = 'QuotaExceededError'
+  }
+}
+
+class PinnedCoreError extends Error {
+  constructor (msg = 'the core is pinned', ...params) {
+    super(msg, ...params)
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) Error.captureStackTrace(this, PinnedCoreError)
+    this.name = this.type = 'PinnedCoreError'
+  }
+}
+
+class SchemaVersionError extends Error {
+  constructor (msg = 'unsupported garden schema', ...params) {
+    super(msg, ...params)
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) Error.captureStackTrace(this, SchemaVersionError)
+    this.name = this.type = 'SchemaVersionError'
+  }
+}
+
+class UnknownTypeError extends Error {
+  constructor (msg = 'unknown core type', ...params) {
+    super(msg, ...params)
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) Error.captureStackTrace(this, UnknownTypeError)
+    this.name = this.type = 'UnknownTypeError'
+  }
+}
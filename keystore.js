@@ -0,0 +1,163 @@
+const crypto = require('crypto')
+const sub = require('subleveldown')
+const assert = require('assert')
+const { defer } = require('deferinfer')
+const { subKey } = require('./sublevel')
+
+const CIPHER = 'aes-256-gcm'
+// Known plaintext used to verify the passphrase on unlock
+const CHECK = Buffer.from('coregarden')
+
+/*
+ * Built-in secrets provider
+ *
+ * Keeps secrets encrypted at rest in a leveldb storing utf8 strings, such as
+ * a sublevel (see sublevel.js). The encryption key is derived from a
+ * passphrase using scrypt with a salt generated on first use.
+ * Implements the secrets provider interface, unlock() is optional:
+ *
+ *   read(id) => Promise<Buffer|undefined>
+ *   write(id, data) => Promise
+ *   delete(id) => Promise
+ *   list(prefix = '') => Promise<[id]>
+ *   unlock() => Promise
+ */
+class Keystore {
+  constructor (db, passphrase) {
+    assert(typeof passphrase === 'string' && passphrase.length, 'passphrase must be a non-empty string')
+    this.db = db
+    this.secrets = sub(db, 'S', { valueEncoding: 'json' })
+    this.params = sub(db, 'P', { valueEncoding: 'json' })
+    this._passphrase = passphrase
+    this._unlocking = null
+  }
+
+  // Derives the encryption key, returns a promise of it
+  unlock () {
+    if (!this._unlocking) {
+      this._unlocking = (async () => {
+        let params = await this.params.get('kdf').catch(notFound)
+        if (!params) {
+          const salt = crypto.randomBytes(16)
+          const key = await deriveKey(this._passphrase, salt)
+          params = { salt: salt.toString('hex'), check: encrypt(key, CHECK) }
+          await this.params.put('kdf', params)
+          return key
+        }
+        return this._verify(this._passphrase, params)
+      })()
+      // Allow another attempt after a failure
+      this._unlocking.catch(() => { this._unlocking = null })
+    }
+    return this._unlocking
+  }
+
+  // Derives the key of a passphrase, throws if it doesn't match the params
+  async _verify (passphrase, params) {
+    const key = await deriveKey(passphrase, Buffer.from(params.salt, 'hex'))
+    try {
+      decrypt(key, params.check)
+    } catch (err) {
+      throw new InvalidPassphraseError()
+    }
+    return key
+  }
+
+  // Resolves if passphrase is the one protecting the keystore
+  async verify (passphrase) {
+    const params = await this.params.get('kdf').catch(notFound)
+    if (params) await this._verify(passphrase, params)
+  }
+
+  /*
+   * Re-encrypts all secrets under a new passphrase in a single batch,
+   * returns a promise of the number of secrets re-encrypted.
+   */
+  async rotate (oldPassphrase, newPassphrase) {
+    assert(typeof newPassphrase === 'string' && newPassphrase.length, 'passphrase must be a non-empty string')
+    const params = await this.params.get('kdf').catch(notFound)
+    let count = 0
+    if (params) {
+      const oldKey = await this._verify(oldPassphrase, params)
+      const salt = crypto.randomBytes(16)
+      const newKey = await deriveKey(newPassphrase, salt)
+      const check = encrypt(newKey, CHECK)
+      const ops = [{ type: 'put', key: subKey('P', 'kdf'), value: JSON.stringify({ salt: salt.toString('hex'), check }) }]
+      for await (const { key: id, value } of this.secrets.createReadStream()) {
+        const entry = encrypt(newKey, decrypt(oldKey, value))
+        ops.push({ type: 'put', key: subKey('S', id), value: JSON.stringify(entry) })
+        count++
+      }
+      await this.db.batch(ops)
+      this._unlocking = Promise.resolve(newKey)
+    } else {
+      this._unlocking = null
+    }
+    this._passphrase = newPassphrase
+    return count
+  }
+
+  async read (id) {
+    const key = await this.unlock()
+    const entry = await this.secrets.get(id).catch(notFound)
+    if (entry) return decrypt(key, entry)
+  }
+
+  async write (id, data) {
+    const key = await this.unlock()
+    await this.secrets.put(id, encrypt(key, data))
+  }
+
+  async delete (id) {
+    await this.secrets.del(id)
+  }
+
+  async list (prefix = '') {
+    const ids = []
+    const s = this.secrets.createKeyStream({ gte: prefix, lt: `${prefix}\xff` })
+    for await (const id of s) ids.push(id)
+    return ids
+  }
+
+  close () {
+    return defer(done => this.secrets.close(err => {
+      if (err) return done(err)
+      this.params.close(done)
+    }))
+  }
+}
+
+const deriveKey = (passphrase, salt) => defer(done => crypto.scrypt(passphrase, salt, 32, done))
+
+const encrypt = (key, data) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()])
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: ciphertext.toString('hex')
+  }
+}
+
+const decrypt = (key, { iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(tag, 'hex'))
+  return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()])
+}
+
+const notFound = err => {
+  if (err.notFound) return null
+  throw err
+}
+
+class InvalidPassphraseError extends Error {
+  constructor (msg = 'invalid passphrase', ...params) {
+    super(msg, ...params)
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) Error.captureStackTrace(this, InvalidPassphraseError)
+    this.name = this.type = 'InvalidPassphraseError'
+  }
+}
+
+module.exports = Keystore
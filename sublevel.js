@@ -0,0 +1,40 @@
+const assert = require('assert')
+
+/*
+ * Keys of subleveldown sublevels
+ *
+ * Batches spanning several sublevels are written to their common parent db
+ * with the keys encoded the way subleveldown prefixes them:
+ *
+ *   !<name>!<key>
+ *
+ * This relies on the default '!' separator of subleveldown and on the parent
+ * db storing keys and values as utf8 strings, which checkEncoding() verifies.
+ */
+const SEPARATOR = '!'
+
+// Encodes a key of the named sublevel
+const subKey = (name, key) => `${SEPARATOR}${name}${SEPARATOR}${key}`
+
+// Splits a key of the parent db into sublevel name and key
+const parseSubKey = raw => {
+  const [, name, key] = raw.match(/^!([^!]*)!([\s\S]*)$/) || []
+  return { name, key }
+}
+
+// Resolves if a value written to the parent db through subKey() reads back
+// the same from the named sublevel.
+const checkEncoding = async (db, sublevel, name) => {
+  const key = 'encoding_check'
+  await db.batch([{ type: 'put', key: subKey(name, key), value: key }])
+  let value = null
+  try {
+    value = await sublevel.get(key)
+  } catch (err) {
+    if (err.type !== 'NotFoundError') throw err
+  }
+  await sublevel.del(key)
+  assert(value === key, 'leveldb must store keys and values as utf8 strings')
+}
+
+module.exports = { subKey, parseSubKey, checkEncoding }
@@ -1,6 +1,6 @@
 const RAM = require('random-access-memory')
 const RAF = require('random-access-file')
-const { mkdirSync } = require('fs')
+const { mkdirSync, readdirSync, statSync, existsSync } = require('fs')
 const memdb = require('memdb')
 const level = require('level')
 const test = require('tape')
@@ -10,9 +10,12 @@ const { join } = require('path')
 // const Dat = require('dat-node')
 // const Passport = require('decentpass') // TODO: release it.
 const Garden = require('.')
+const cli = require('./cli')
+const archive = require('./archive')
 const { defer } = require('deferinfer')
 const hyperdrive = require('hyperdrive')
 const del = require('del')
+const { PassThrough, Readable } = require('stream')
 
 test('garden experimental core store', async t => {
   t.plan(6)
@@ -51,8 +54,7 @@ test('garden experimental core store', async t => {
   let meta = await g.getMeta(feed.key)
   t.notOk(meta.banned, 'Should not be marked as banned')
 
-  // borrow the feed.. will become problematic in a multi-threaded env.
-  // two feed instances using the same storage is unholy.
+  // get() hands out another handle to the same core instance
   const f2 = await g.get(feed.key)
   t.equal(feed.key.hexSlice(), f2.key.hexSlice(), 'should be possible to get core by key')
 
@@ -109,6 +111,662 @@ test('middleware: accepts cores', async t => {
   t.end()
 })
 
+test('quota evicts least recently used cores', async t => {
+  const garden = Garden(RAM, memdb(), {
+    mappers: { hypercore },
+    quota: { total: 12000 }
+  })
+  const a = await garden.plant('hypercore')
+  await defer(d => a.append(Buffer.alloc(1000), d))
+  await a.release()
+  const b = await garden.plant('hypercore')
+  await defer(d => b.append(Buffer.alloc(1000), d))
+  await b.release()
+  await (await garden.get(a.key)).release() // touch a, leaving b least recently used
+
+  const c = await garden.plant('hypercore')
+  await defer(d => c.append(Buffer.alloc(1000), d))
+  const meta = await garden.getMeta(b.key)
+  t.ok(meta.deleted, 'least recently used core was purged')
+  t.ok(meta.evictedAt, 'eviction is recorded in meta')
+  t.notOk((await garden.getMeta(a.key)).deleted, 'recently used core was kept')
+
+  try {
+    await defer(d => c.append(Buffer.alloc(20000), d))
+    t.fail('write should have been rejected')
+  } catch (err) {
+    t.equal(err.type, 'QuotaExceededError', 'rejects writes that cannot fit')
+  }
+  t.notOk((await garden.getMeta(a.key)).deleted, 'nothing evicted for an impossible write')
+  t.end()
+})
+
+test('per type quota evicts cores of that type', async t => {
+  const garden = Garden(RAM, memdb(), {
+    mappers: { hypercore, other: hypercore },
+    quota: { perType: { other: 12000 } }
+  })
+  const core = await garden.plant('hypercore')
+  await defer(d => core.append(Buffer.alloc(1000), d))
+  const a = await garden.plant('other')
+  await defer(d => a.append(Buffer.alloc(1000), d))
+  await a.release()
+  const b = await garden.plant('other')
+  await defer(d => b.append(Buffer.alloc(1000), d))
+  await b.release()
+  await (await garden.get(a.key)).release()
+
+  const c = await garden.plant('other')
+  await defer(d => c.append(Buffer.alloc(1000), d))
+  t.ok((await garden.getMeta(b.key)).deleted, 'least recently used core of the type was purged')
+  t.notOk((await garden.getMeta(a.key)).deleted, 'recently used core of the type was kept')
+  t.notOk((await garden.getMeta(core.key)).deleted, 'cores of other types are not evicted')
+
+  try {
+    await defer(d => c.append(Buffer.alloc(20000), d))
+    t.fail('write should have been rejected')
+  } catch (err) {
+    t.equal(err.type, 'QuotaExceededError', 'rejects writes that exceed the type quota')
+  }
+  t.end()
+})
+
+test('quota never evicts cores in use', async t => {
+  const garden = Garden(RAM, memdb(), {
+    mappers: { hypercore },
+    quota: { total: 12000 }
+  })
+  // a is least recently planted but still held and written to
+  const a = await garden.plant('hypercore')
+  await defer(d => a.append(Buffer.alloc(1000), d))
+  const b = await garden.plant('hypercore')
+  await defer(d => b.append(Buffer.alloc(1000), d))
+  await b.release()
+  await defer(d => a.append(Buffer.alloc(10), d))
+
+  const c = await garden.plant('hypercore')
+  await defer(d => c.append(Buffer.alloc(1000), d))
+  t.notOk((await garden.getMeta(a.key)).deleted, 'core with an open handle was kept')
+  t.ok((await garden.getMeta(b.key)).deleted, 'released core was evicted instead')
+  await defer(d => a.append(Buffer.alloc(10), d))
+  t.equal(a.length, 3, 'kept core is still writable')
+  t.equal(await garden.evict(Infinity), 0, 'open cores are not evicted on demand')
+  t.end()
+})
+
+test('writes count as access', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const feed = await garden.plant('hypercore')
+  const { accessedAt } = await garden.getMeta(feed.key)
+  await defer(d => feed.append(Buffer.from('hello'), d))
+  await garden.sync()
+  t.ok((await garden.getMeta(feed.key)).accessedAt > accessedAt, 'write updated the access time')
+  await feed.release()
+  t.end()
+})
+
+test('access times do not overwrite meta', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const feed = await garden.plant('hypercore')
+  await feed.release()
+  const loading = garden.get(feed.key)
+  await garden.ban(feed.key, false)
+  const handle = await loading
+  t.ok(await garden.isBanned(feed.key), 'ban made during get() is kept')
+  t.ok((await garden.getMeta(feed.key)).accessedAt, 'access time is reported')
+  await handle.release()
+  t.end()
+})
+
+test('pinned cores are protected from removal', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const feed = await garden.plant('hypercore')
+  await garden.pin(feed.key)
+  t.ok(await garden.isPinned(feed.key), 'core is pinned')
+  const pinned = await garden.listPinned()
+  t.equal(pinned.length, 1)
+  t.equal(pinned[0].key, feed.key.hexSlice())
+
+  for (const op of ['ban', 'purge']) {
+    try {
+      await garden[op](feed.key)
+      t.fail(`${op} should have been refused`)
+    } catch (err) {
+      t.equal(err.type, 'PinnedCoreError', `${op} refused`)
+    }
+  }
+  t.equal(await garden.evict(Infinity), 0, 'pinned core not evicted')
+  t.notOk(await garden.isBanned(feed.key))
+
+  await garden.purge(feed.key, false, true)
+  const meta = await garden.getMeta(feed.key)
+  t.ok(meta.deleted, 'forced purge removes pinned core')
+  t.notOk(meta.pinned, 'forced purge clears pin')
+
+  const other = await garden.plant('hypercore')
+  await garden.pin(other.key)
+  await garden.unpin(other.key)
+  t.notOk(await garden.isPinned(other.key), 'core is unpinned')
+  await garden.ban(other.key)
+  t.ok(await garden.isBanned(other.key), 'unpinned core can be banned')
+  t.end()
+})
+
+test('unban and restore', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const feed = await garden.plant('hypercore')
+  const key = feed.key.hexSlice()
+  await garden.ban(key)
+
+  try {
+    await garden.restore(key)
+    t.fail('banned cores should not be restored')
+  } catch (err) {
+    t.equal(err.type, 'BannedCoreError', 'restore refuses banned cores')
+  }
+
+  await garden.unban(key, { by: 'moderator', reason: 'mistake' })
+  let meta = await garden.getMeta(key)
+  t.notOk(meta.banned, 'ban lifted')
+  t.notOk(meta.deleted, 'purged core was restored')
+  t.equal(meta.type, 'hypercore', 'type preserved')
+  t.deepEqual(meta.history.map(h => h.action), ['unban', 'restore'])
+  t.equal(meta.history[0].by, 'moderator')
+  const core = await garden.get(key)
+  t.equal(core.key.hexSlice(), key, 'core available again')
+  t.notOk(core.writable, 'restored core is a replica')
+
+  const other = await garden.plant('hypercore')
+  await garden.purge(other.key)
+  const restored = await garden.restore(other.key, { by: 'user' })
+  t.equal(restored.key.hexSlice(), other.key.hexSlice(), 'restore returns core')
+  meta = await garden.getMeta(other.key)
+  t.notOk(meta.deleted, 'deleted flag cleared')
+  t.ok(meta.restoredAt, 'restoration recorded')
+  t.end()
+})
+
+test('emits lifecycle events', async t => {
+  const garden = Garden(RAM, memdb(), {
+    mappers: { hypercore },
+    quota: { total: 4000 }
+  })
+  const events = []
+  for (const name of ['plant', 'load', 'close-core', 'ban', 'purge', 'sync', 'quota']) {
+    garden.on(name, ev => events.push([name, ev]))
+  }
+  const feed = await garden.plant('hypercore')
+  const key = feed.key.hexSlice()
+  try {
+    await defer(d => feed.append(Buffer.alloc(5000), d))
+  } catch (err) {}
+  await garden.sync()
+  await garden.closeCore(key)
+  await garden.get(key)
+  await garden.ban(key)
+
+  const find = name => events.find(([n]) => n === name)
+  t.deepEqual(find('plant')[1], { key, type: 'hypercore', fid: 1 }, 'plant event')
+  t.equal(find('load')[1].key, key, 'load event')
+  t.equal(find('close-core')[1].key, key, 'close-core event')
+  t.equal(find('quota')[1].fid, 1, 'quota event')
+  t.equal(find('purge')[1].type, 'hypercore', 'purge event')
+  t.equal(find('ban')[1].key, key, 'ban event')
+  t.ok(find('sync')[1].size > 0, 'sync event reports batch size')
+  t.end()
+})
+
+test('plant rolls back on failure', async t => {
+  let created = null
+  const track = core => { created = core; return core }
+  const mappers = {
+    hypercore: (...a) => track(hypercore(...a)),
+    throwing: () => { throw new Error('mapper failed') },
+    unready: storage => {
+      const core = track(hypercore(storage))
+      core.ready = cb => core.once('ready', () => cb(new Error('never ready')))
+      return core
+    }
+  }
+  const setups = {
+    'local secrets': {},
+    keystore: { secrets: { passphrase: 'correct horse' } }
+  }
+
+  for (const setup of Object.keys(setups)) {
+    const garden = Garden(RAM, memdb(), Object.assign({ mappers }, setups[setup]))
+    const secrets = () => garden.externalSecrets ? garden.externalSecrets.list() : []
+    const banned = await garden.plant('hypercore')
+    await garden.ban(banned.key)
+    const before = (await garden.listMeta()).length
+    const stored = await secrets()
+
+    const failures = {
+      'mapper throws': () => garden.plant('throwing'),
+      'ready fails': () => garden.plant('unready'),
+      'key banned after ready': () => garden.plant('hypercore', (pot, bury, mapper) => {
+        bury(mapper(pot, banned.key))
+      }),
+      'index write fails': () => {
+        const batch = garden.db.batch
+        garden.db.batch = async () => {
+          garden.db.batch = batch
+          throw new Error('disk full')
+        }
+        return garden.plant('hypercore')
+      }
+    }
+
+    for (const failure of Object.keys(failures)) {
+      const name = `${setup}, ${failure}`
+      created = null
+      try {
+        await failures[failure]()
+        t.fail(`${name}: plant should have failed`)
+      } catch (err) {
+        t.ok(err, `${name}: error propagated`)
+      }
+      if (created) t.ok(created.closed, `${name}: feed closed`)
+      t.equal(await garden.gc(), 0, `${name}: no files left behind`)
+      t.equal((await garden.listMeta()).length, before, `${name}: index untouched`)
+      t.deepEqual(await secrets(), stored, `${name}: no secrets left behind`)
+    }
+
+    const feed = await garden.plant('hypercore')
+    t.ok(feed.key, `${setup}: garden still plants after failures`)
+  }
+  t.end()
+})
+
+test('reference counted core handles', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const feed = await garden.plant('hypercore')
+  const a = await garden.get(feed.key)
+  const b = await garden.get(feed.key)
+  t.equal((await garden.openHandles(feed.key)).length, 3, 'plant and get hand out handles')
+  t.ok((await garden.openHandles(feed.key))[0].stack, 'handles record where they were acquired')
+
+  t.equal(await feed.release(), true, 'released')
+  t.equal(await feed.release(), false, 'releasing twice is a no-op')
+  await a.release()
+  t.notOk(b.closed, 'core open while handles remain')
+  await defer(d => b.close(d))
+  t.ok(b.closed, 'core closed with the last handle')
+  t.equal((await garden.openHandles(feed.key)).length, 0, 'no handles left')
+
+  // The last handle is released while another get() is underway
+  const last = await garden.plant('hypercore')
+  const touch = garden._touch
+  garden._touch = async key => {
+    garden._touch = touch
+    await last.release()
+    return touch.call(garden, key)
+  }
+  const reopened = await garden.get(last.key)
+  t.notOk(reopened.closed, 'get() hands out an open core')
+  t.equal((await garden.openHandles(last.key)).length, 1, 'handle counted')
+  await reopened.release()
+  t.end()
+})
+
+test('paginated and filtered listing', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore, other: hypercore } })
+  for (let i = 0; i < 4; i++) await garden.plant('hypercore')
+  await defer(d => setTimeout(d, 5))
+  const since = new Date()
+  await defer(d => setTimeout(d, 5))
+  const other = await garden.plant('other')
+  const banned = await garden.plant('hypercore')
+  await garden.ban(banned.key)
+
+  const pages = []
+  let cursor = null
+  do {
+    const page = await garden.listMeta({ limit: 2, cursor })
+    if (page.length) pages.push(page)
+    cursor = page.length === 2 ? page[1].key : null
+  } while (cursor)
+  t.deepEqual(pages.map(p => p.length), [2, 2, 2], 'pages through all entries')
+
+  const typed = await garden.listMeta({ type: 'other' })
+  t.equal(typed.length, 1, 'filters by type')
+  t.equal(typed[0].key, other.key.hexSlice())
+  t.equal((await garden.listMeta({ since })).length, 2, 'filters by creation time')
+  t.equal((await garden.listMeta({ banned: true })).length, 1, 'filters banned')
+
+  const descriptors = await garden.listCores({ load: false })
+  t.equal(descriptors.length, 5, 'lists live cores')
+  t.ok(descriptors.every(d => !d.core && d.meta.type), 'without loading them')
+
+  let streamed = 0
+  for await (const entry of garden.createMetaStream({ deleted: false })) {
+    if (entry.key) streamed++
+  }
+  t.equal(streamed, 5, 'meta stream is async iterable')
+
+  const loaded = []
+  for await (const { core } of garden.iterateCores({ limit: 1 })) loaded.push(core)
+  t.equal(loaded.length, 1, 'iterates cores lazily')
+  t.ok(loaded[0].key, 'iterated cores are loaded')
+  t.end()
+})
+
+test('query meta through secondary indexes', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore, other: hypercore } })
+  const photos = await garden.plant('hypercore')
+  await defer(d => setTimeout(d, 5))
+  const since = new Date()
+  const docs = await garden.plant('other')
+  const trash = await garden.plant('hypercore')
+
+  await garden.setMeta(photos.key, { tags: ['photos', 'family'], owner: 'alice' })
+  await garden.setMeta(docs.key, { tags: ['photos'], labels: { env: 'prod' } })
+  await garden.setMeta(trash.key, { tags: ['photos'] })
+  try {
+    await garden.setMeta(docs.key, { banned: true })
+    t.fail('reserved fields should be refused')
+  } catch (err) {
+    t.ok(err, 'reserved fields are refused')
+  }
+
+  const keys = res => res.map(e => e.key).sort()
+  t.deepEqual(keys(await garden.query({ type: 'hypercore', tag: 'photos' })),
+    keys([{ key: photos.key.hexSlice() }, { key: trash.key.hexSlice() }]), 'intersects fields')
+  t.deepEqual(keys(await garden.query({ owner: 'alice' })), [photos.key.hexSlice()], 'by owner')
+  t.deepEqual(keys(await garden.query({ label: 'env=prod' })), [docs.key.hexSlice()], 'by label')
+  t.equal((await garden.query({ createdAt: { gt: since } })).length, 2, 'by creation range')
+  t.equal((await garden.query({ createdAt: { lt: since } })).length, 1, 'by creation range below')
+
+  await garden.ban(trash.key)
+  t.equal((await garden.query({ tag: 'photos', banned: false })).length, 2, 'index follows ban')
+  t.equal((await garden.query({ deleted: true })).length, 1, 'index follows purge')
+  await garden.unban(trash.key)
+  t.equal((await garden.query({ tag: 'photos', banned: false, deleted: false })).length, 3, 'index follows restore')
+
+  await garden.setMeta(photos.key, { tags: null })
+  t.equal((await garden.query({ tag: 'family' })).length, 0, 'removed fields leave the index')
+  await garden.reindex()
+  t.equal((await garden.query({ tag: 'photos' })).length, 2, 'reindex rebuilds the index')
+  t.end()
+})
+
+test('cores are classified by writability', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const authored = await garden.plant('hypercore')
+  const remote = hypercore(RAM)
+  await defer(d => remote.ready(d))
+  const mirror = await garden.plant('hypercore', remote.key)
+
+  t.equal(await garden.isWritable(authored.key), true, 'authored core is writable')
+  t.equal(await garden.isWritable(mirror.key), false, 'mirrored core is read-only')
+  const writable = await garden.listCores({ writable: true, load: false })
+  t.deepEqual(writable.map(e => e.key), [authored.key.hexSlice()], 'listed by writability')
+  const meta = await defer(d => garden.describe({ key: mirror.key.hexSlice() }, d))
+  t.equal(meta.writable, false, 'described to peers')
+
+  // Records from before writability was tracked
+  const legacy = await garden.getMeta(authored.key)
+  delete legacy.writable
+  await garden.meta.put(authored.key.hexSlice(), legacy)
+  t.equal(await garden.isWritable(authored.key), true, 'resolved by loading the core')
+
+  // Purging drops the secret key, restored cores are replicas
+  const purged = await garden.plant('hypercore')
+  await garden.purge(purged.key)
+  const restored = await garden.restore(purged.key)
+  t.equal(await garden.isWritable(purged.key), false, 'restored core is read-only')
+  const listed = await garden.listCores({ writable: true, load: false })
+  t.equal(listed.map(e => e.key).indexOf(purged.key.hexSlice()), -1, 'restored core listed as read-only')
+  await restored.release()
+  t.end()
+})
+
+test('leveldb has to store strings', async t => {
+  const garden = Garden(RAM, memdb({ valueEncoding: 'json' }), { mappers: { hypercore } })
+  try {
+    await garden.ready()
+    t.fail('json encoded leveldb should be refused')
+  } catch (err) {
+    t.ok(/utf8/.test(err.message), 'encoding of the leveldb is verified')
+  }
+  t.end()
+})
+
+test('schema versioning and migrations', async t => {
+  const db = memdb()
+  const garden = Garden(RAM, db, { mappers: { hypercore } })
+  await garden.ready()
+  t.equal(await garden.schemaVersion(), Garden.SCHEMA_VERSION, 'new gardens are stamped')
+  const feed = await garden.plant('hypercore')
+
+  // Simulate a garden from before schema versioning
+  await garden.glob.del('schema_version')
+  const stale = []
+  for await (const key of garden.index.createKeyStream()) stale.push({ type: 'del', key })
+  await garden.index.batch(stale)
+  const legacy = Garden(RAM, db, { mappers: { hypercore } })
+  try {
+    await legacy.plant('hypercore')
+    t.fail('outdated schema should be refused')
+  } catch (err) {
+    t.equal(err.type, 'SchemaVersionError', 'outdated schema refused')
+  }
+
+  const dry = await legacy.migrate({ dryRun: true })
+  t.deepEqual(dry.steps.map(s => s.version), [1, 2], 'dry run reports steps')
+  t.equal(dry.steps[0].entries, 1, 'steps report what they would change')
+  t.equal(await legacy.schemaVersion(), 0, 'dry run changes nothing')
+  const report = await legacy.migrate()
+  t.deepEqual([report.from, report.to], [0, Garden.SCHEMA_VERSION], 'migrated step by step')
+  t.equal((await legacy.query({ type: 'hypercore' }))[0].key, feed.key.hexSlice(), 'index rebuilt')
+  t.ok(await legacy.plant('hypercore'), 'migrated garden usable')
+
+  await legacy.glob.put('schema_version', Garden.SCHEMA_VERSION + 1)
+  try {
+    await Garden(RAM, db, { mappers: { hypercore } }).ready()
+    t.fail('newer schema should be refused')
+  } catch (err) {
+    t.equal(err.type, 'SchemaVersionError', 'newer schema refused')
+  }
+  t.end()
+})
+
+test('storage namespaces stay isolated', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore } })
+  const cores = []
+  for (let i = 0; i < 150; i++) cores.push(await garden.plant('hypercore'))
+  const [first] = cores
+  const expected = await garden.listFiles(first.key)
+  for (const i of [9, 99, 149]) {
+    t.deepEqual(await garden.listFiles(cores[i].key), expected, `files of core ${i + 1} isolated`)
+    t.equal(await garden.sizeOf(cores[i].key), await garden.sizeOf(first.key), `size of core ${i + 1} isolated`)
+  }
+  await garden.purge(first.key)
+  t.deepEqual(await garden.listFiles(cores[9].key), expected, 'purge leaves cores 10-19 alone')
+  t.deepEqual(await garden.listFiles(cores[99].key), expected, 'purge leaves cores 100-199 alone')
+  t.end()
+})
+
+test('storage usage statistics', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore, other: hypercore } })
+  const big = await garden.plant('hypercore')
+  await defer(d => big.append(Buffer.alloc(2000), d))
+  const small = await garden.plant('hypercore')
+  const banned = await garden.plant('other')
+  await garden.ban(banned.key)
+
+  const stats = await garden.stats({ top: 1 })
+  t.equal(stats.cores, 2, 'counts live cores')
+  t.equal(stats.banned, 1, 'counts banned cores')
+  t.equal(stats.deleted, 1, 'counts deleted cores')
+  t.equal(stats.openCores, 2, 'counts open cores')
+  t.equal(typeof stats.pendingInodes, 'number', 'reports pending inode updates')
+  t.equal(stats.bytes, await garden.sizeOf(big.key) + await garden.sizeOf(small.key), 'totals bytes')
+  t.deepEqual(stats.largest.map(c => c.key), [big.key.hexSlice()], 'lists largest cores')
+
+  const byType = await garden.statsByType()
+  t.equal(byType.hypercore.cores, 2, 'counts by type')
+  t.equal(byType.other.banned, 1, 'bans by type')
+
+  const first = await garden.snapshot()
+  await defer(d => setTimeout(d, 5))
+  await defer(d => small.append(Buffer.alloc(500), d))
+  await garden.snapshot()
+  const history = await garden.statsHistory()
+  t.equal(history.length, 2, 'snapshots recorded')
+  t.ok(history[1].bytes > history[0].bytes, 'growth visible in history')
+  t.equal((await garden.statsHistory({ since: new Date(first.at.getTime() + 1) })).length, 1, 'history filtered by date')
+  t.end()
+})
+
+test('replication policies', async t => {
+  const remote = hypercore(RAM)
+  const denied = hypercore(RAM)
+  await Promise.all([remote, denied].map(feed => defer(d => feed.ready(d))))
+  const garden = Garden(RAM, memdb(), {
+    mappers: { hypercore, other: hypercore },
+    policy: { tags: ['public'], types: ['hypercore'], budget: 100000, deny: [denied.key] }
+  })
+  const call = fn => defer(d => fn(d))
+  const published = await garden.plant('hypercore')
+  const secret = await garden.plant('hypercore')
+  await garden.setMeta(published.key, { tags: ['public'] })
+
+  const shared = await call(d => garden.share(d))
+  t.deepEqual(shared.map(c => c.key.hexSlice()), [published.key.hexSlice()], 'shares matching cores')
+  const meta = await call(d => garden.describe({ key: published.key.hexSlice() }, d))
+  t.equal(meta.size, await garden.sizeOf(published.key), 'describes size of shared cores')
+  t.notOk(await call(d => garden.describe({ key: secret.key.hexSlice() }, d)), 'hides unshared cores')
+  t.notOk(await call(d => garden.resolve(secret.key.hexSlice(), d)), 'unshared cores not resolved')
+  t.ok(await call(d => garden.resolve(published.key.hexSlice(), d)), 'shared cores resolved')
+
+  const offer = (key, meta) => call(d => garden.store({ key: key.hexSlice(), meta: Object.assign({ origin: 'garden' }, meta) }, d))
+  t.notOk(await offer(remote.key, { type: 'other' }), 'refuses unaccepted types')
+  t.notOk(await offer(remote.key, { type: 'hypercore', size: 200000 }), 'refuses offers over budget')
+  t.notOk(await offer(denied.key, { type: 'hypercore' }), 'refuses denied keys')
+  const stored = await offer(remote.key, { type: 'hypercore', size: 100 })
+  t.equal(stored.key.hexSlice(), remote.key.hexSlice(), 'stores accepted offers')
+
+  garden.setPolicy({ share: key => key === secret.key.hexSlice() })
+  t.deepEqual((await call(d => garden.share(d))).map(c => c.key.hexSlice()), [secret.key.hexSlice()], 'predicate policies')
+  t.end()
+})
+
+test('cores handed to the middleware are released', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hypercore }, leaseTimeout: 20 })
+  const call = fn => defer(d => fn(d))
+  const feed = await garden.plant('hypercore')
+  await feed.release()
+  for (let i = 0; i < 3; i++) await call(d => garden.share(d))
+  await call(d => garden.resolve(feed.key.hexSlice(), d))
+  t.equal((await garden.openHandles(feed.key)).length, 1, 'a single handle is held')
+
+  await defer(d => setTimeout(d, 50))
+  t.equal((await garden.openHandles(feed.key)).length, 0, 'handle released after the lease')
+  t.equal(Object.keys(garden._feeds).length, 0, 'core closed once unused')
+  t.end()
+})
+
+test('bans propagate from trusted peers', async t => {
+  const moderator = Garden.createBanKeyPair()
+  const stranger = Garden.createBanKeyPair()
+  const call = fn => defer(d => fn(d))
+  const source = Garden(RAM, memdb(), { mappers: { hypercore }, banList: { keyPair: moderator } })
+  const mirror = Garden(RAM, memdb(), {
+    mappers: { hypercore },
+    banList: { trusted: [moderator.publicKey] }
+  })
+  const spam = await source.plant('hypercore')
+  const unknown = hypercore(RAM)
+  await defer(d => unknown.ready(d))
+  await mirror.plant('hypercore', spam.key)
+  const shared = await source.plant('hypercore')
+
+  await source.ban(spam.key, true, false, { reason: 'spam' })
+  await source.ban(await source.plant('hypercore').then(c => c.key), true, false)
+  const bans = await source.listBans()
+  t.equal(bans.length, 2, 'bans are published')
+  t.equal(bans.find(b => b.key === spam.key.hexSlice()).reason, 'spam', 'reason included')
+
+  const meta = await call(d => source.describe({ key: shared.key.hexSlice() }, d))
+  t.deepEqual(meta.bans, bans, 'bans exchanged through describe')
+  const forged = Object.assign({}, bans[0], { key: unknown.key.hexSlice() })
+  const rogue = Garden(RAM, memdb(), { mappers: { hypercore }, banList: { keyPair: stranger } })
+  await rogue.plant('hypercore', shared.key)
+  await rogue.ban(shared.key)
+  const [untrusted] = await rogue.listBans()
+  meta.bans.push(forged, untrusted)
+  const core = await call(d => mirror.store({ key: shared.key.hexSlice(), meta }, d))
+  t.equal(core.key.hexSlice(), shared.key.hexSlice(), 'offer accepted')
+  t.ok(await mirror.isBanned(spam.key), 'trusted bans applied')
+  t.ok((await mirror.getMeta(spam.key)).deleted, 'banned core purged')
+  t.notOk(await mirror.isBanned(unknown.key), 'forged bans ignored')
+  t.notOk(await mirror.isBanned(shared.key), 'untrusted bans ignored')
+  t.equal((await mirror.listBans()).length, 2, 'received bans kept for relaying')
+
+  try {
+    await mirror.plant('hypercore', bans.find(b => b.key !== spam.key.hexSlice()).key)
+    t.fail('keys banned in advance should not be planted')
+  } catch (err) {
+    t.equal(err.type, 'BannedCoreError', 'unknown keys banned in advance')
+  }
+  const advance = bans.find(b => b.key !== spam.key.hexSlice()).key
+  t.ok((await mirror.getMeta(advance)).tombstone, 'tombstone left for unknown keys')
+  t.deepEqual(await mirror.applyBans(bans), [], 'applied entries skipped')
+  t.equal((await mirror.stats()).banned, 1, 'tombstones not counted as cores')
+  const offer = { origin: 'garden', type: 'hypercore' }
+  t.notOk(await call(d => mirror.store({ key: advance, meta: offer }, d)), 'offers banned in advance refused')
+  t.ok((await mirror.getMeta(advance)).tombstone, 'tombstone kept after the offer')
+  await mirror.unban(advance)
+  t.notOk(await mirror.isBanned(advance), 'tombstones can be lifted')
+  t.notOk(await call(d => mirror.store({ key: spam.key.hexSlice(), meta: offer }, d)), 'banned offers refused')
+
+  // A ban arriving while an offer is inspected
+  const late = (await source.plant('hypercore')).key.hexSlice()
+  await source.ban(late)
+  const lateBan = (await source.listBans()).find(b => b.key === late)
+  const refuseOffer = mirror._refuseOffer
+  mirror._refuseOffer = async (...args) => {
+    await mirror.applyBans([lateBan])
+    return refuseOffer.apply(mirror, args)
+  }
+  t.notOk(await call(d => mirror.store({ key: late, meta: offer }, d)), 'offers banned meanwhile refused')
+  t.notOk(await mirror.key2fs.get(late).catch(() => null), 'core banned meanwhile not planted')
+  t.end()
+})
+
+test('composite cores record their children', async t => {
+  const garden = Garden(RAM, memdb(), { mappers: { hyperdrive } })
+  const drive = await garden.plant('hyperdrive')
+  await defer(done => drive.writeFile('hello', Buffer.from('world'), done))
+  const key = drive.key.hexSlice()
+  const contentKey = drive.content.key.hexSlice()
+
+  const meta = await garden.getMeta(key)
+  t.deepEqual(meta.children, [contentKey], 'content feed recorded as child')
+  const child = await garden.getMeta(contentKey)
+  t.equal(child.parent, key, 'child points to its parent')
+  t.equal((await garden.listCores({ load: false })).length, 1, 'children are not listed')
+
+  const resolved = await garden.get(contentKey)
+  t.equal(resolved.key.hexSlice(), key, 'child resolves to its parent')
+  resolved.release()
+  t.equal(await garden.sizeOf(contentKey), await garden.sizeOf(key), 'children share the parent size')
+
+  await garden.ban(contentKey)
+  t.equal(await garden.isBanned(key), true, 'banning a child bans the parent')
+  t.equal(await garden.isBanned(contentKey), true, 'ban cascades to children')
+  t.equal((await garden.getMeta(contentKey)).deleted, true, 'purge cascades to children')
+  await garden.unban(key)
+  t.equal(await garden.isBanned(contentKey), false, 'unban cascades to children')
+  t.notOk((await garden.getMeta(contentKey)).deleted, 'children restored along with their parent')
+  t.equal(await garden.key2fs.get(contentKey), await garden.key2fs.get(key), 'children moved to the new namespace')
+  const restored = await garden.get(contentKey)
+  t.equal(restored.key.hexSlice(), key, 'restored child resolves to its parent')
+  await restored.release()
+  t.end()
+})
+
 const prefix = './mock_root'
 const makeFileStore = async (purge = false) => {
   if (purge) await destroyFileStore()
@@ -124,6 +782,578 @@ const destroyFileStore = () => {
   return del(join(prefix, '**'))
 }
 
+test('export and import a core', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore, hyperdrive } })
+    const feed = await garden.plant('hypercore')
+    await defer(d => feed.append(Buffer.from('hello'), d))
+    await garden.sync()
+
+    const target = Garden(path => RAF(join(prefix, 'imported', path)), memdb(), {
+      mappers: { hypercore, hyperdrive }
+    })
+    const core = await target.importCore(garden.exportCore(feed.key))
+    t.equal(core.key.hexSlice(), feed.key.hexSlice(), 'key verified on import')
+    t.equal(core.length, 1, 'feed length restored')
+    const data = await defer(d => core.get(0, d))
+    t.equal(data.toString(), 'hello', 'content restored')
+    t.notOk(core.writable, 'secret key excluded by default')
+    const files = await target.listFiles(feed.key)
+    t.equal(files.indexOf('secret_key'), -1, 'no secret file written')
+    t.equal((await target.getMeta(feed.key)).type, 'hypercore', 'meta restored')
+    t.notOk((await target.meta.get(feed.key.hexSlice())).accessedAt, 'access times are not exported')
+
+    const again = Garden(path => RAF(join(prefix, 'with-secrets', path)), memdb(), {
+      mappers: { hypercore }
+    })
+    const writable = await again.importCore(garden.exportCore(feed.key, { secrets: true }))
+    t.ok(writable.writable, 'secret key included on request')
+
+    const drive = await garden.plant('hyperdrive')
+    await defer(d => drive.writeFile('hello.txt', 'world', d))
+    await garden.sync()
+    const imported = await target.importCore(garden.exportCore(drive.key))
+    const contentKey = drive.content.key.hexSlice()
+    t.deepEqual((await target.getMeta(drive.key)).children, [contentKey], 'children restored')
+    const resolved = await target.get(contentKey)
+    t.equal(resolved.key.hexSlice(), drive.key.hexSlice(), 'child resolves to its parent')
+    await resolved.release()
+    const text = await defer(d => imported.readFile('hello.txt', 'utf8', d))
+    t.equal(text, 'world', 'drive content restored')
+    await Promise.all([garden.close(), target.close(), again.close()])
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('archives survive arbitrary chunking', async t => {
+  async function * body () {
+    yield Buffer.from('hel')
+    yield Buffer.from('lo')
+  }
+  async function * entries () {
+    yield [{ type: 'test' }]
+    yield [{ type: 'file', size: 5 }, body()]
+    yield [{ type: 'file' }, Buffer.from('world')]
+  }
+  const chunks = []
+  for await (const chunk of archive.pack(entries())) chunks.push(chunk)
+  const packed = Buffer.concat(chunks)
+  // Feed the archive back a few bytes at a time
+  const pieces = []
+  for (let i = 0; i < packed.length; i += 3) pieces.push(packed.slice(i, i + 3))
+  const unpacked = []
+  for await (const { header, body } of archive.unpack(Readable.from(pieces))) {
+    unpacked.push([header.type, body.toString()])
+  }
+  t.deepEqual(unpacked, [['test', ''], ['file', 'hello'], ['file', 'world']], 'entries restored')
+
+  try {
+    for await (const entry of archive.unpack(Readable.from([packed.slice(0, -1)]))) t.ok(entry)
+    t.fail('truncated archive should be refused')
+  } catch (err) {
+    t.equal(err.message, 'archive is truncated', 'truncation detected')
+  }
+  t.end()
+})
+
+test('imports are verified before they are indexed', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const feed = await garden.plant('hypercore')
+    await defer(d => feed.append(Buffer.from('hello'), d))
+    const other = await garden.plant('hypercore')
+    await garden.sync()
+    const collect = async stream => {
+      const chunks = []
+      for await (const chunk of stream) chunks.push(chunk)
+      return Buffer.concat(chunks)
+    }
+
+    // Claim the files of one core belong to the other
+    const forged = await collect(garden.exportCore(feed.key))
+    const at = forged.indexOf(feed.key.hexSlice())
+    forged.write(other.key.hexSlice(), at)
+
+    const target = Garden(path => RAF(join(prefix, 'imported', path)), memdb(), {
+      mappers: { hypercore }
+    })
+    try {
+      await target.importCore(Readable.from([forged]))
+      t.fail('forged archive should be refused')
+    } catch (err) {
+      t.ok(err, 'forged archive refused')
+    }
+    t.equal((await target.listMeta()).length, 0, 'index rolled back')
+    t.equal(await target.gc(), 0, 'no files left behind')
+    const core = await target.importCore(garden.exportCore(other.key))
+    t.equal(core.key.hexSlice(), other.key.hexSlice(), 'key can be imported afterwards')
+    await Promise.all([garden.close(), target.close()])
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('backup and restore a garden', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const a = await garden.plant('hypercore')
+    await defer(d => a.append(Buffer.from('first'), d))
+    const b = await garden.plant('hypercore')
+    await garden.ban(b.key, false)
+
+    const out = new PassThrough()
+    const chunks = []
+    out.on('data', chunk => chunks.push(chunk))
+    const backup = garden.backup(out)
+    // Meta writes aren't held, the index is dumped from one snapshot
+    const tagged = garden.setMeta(a.key, { tags: ['late'] })
+    let appended = false
+    const append = defer(d => a.append(Buffer.from('second'), d))
+      .then(() => { appended = true })
+    await backup
+    t.notOk(appended, 'writes held during backup')
+    await append
+    await tagged
+
+    const input = new PassThrough()
+    input.end(Buffer.concat(chunks))
+    const restored = await Garden.restore(
+      input,
+      path => RAF(join(prefix, 'restored', path)),
+      memdb(),
+      { mappers: { hypercore } }
+    )
+    const core = await restored.get(a.key)
+    t.equal(core.length, 1, 'snapshot excludes writes made during backup')
+    t.equal((await defer(d => core.get(0, d))).toString(), 'first', 'content restored')
+    t.ok(core.writable, 'secret key restored')
+    t.ok(await restored.isBanned(b.key), 'meta restored')
+    const tags = (await restored.getMeta(a.key)).tags || []
+    const indexed = (await restored.query({ tag: 'late' })).map(e => e.key)
+    t.deepEqual(indexed, tags.map(() => a.key.hexSlice()), 'meta and index from the same snapshot')
+    await restored.closeCore(a.key)
+    await restored.plant('hypercore')
+    const reloaded = await restored.get(a.key)
+    t.equal((await defer(d => reloaded.get(0, d))).toString(), 'first', 'fid counter restored')
+    await Promise.all([garden.close(), restored.close()])
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('check and repair the index', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const feed = await garden.plant('hypercore')
+    await defer(d => feed.append(Buffer.from('hello'), d))
+    await garden.sync()
+    const size = await garden.sizeOf(feed.key)
+    let report = await garden.check()
+    t.ok(report.ok, 'fresh garden is consistent')
+
+    // Introduce inconsistencies
+    const fid = await garden.key2fs.get(feed.key.hexSlice())
+    await garden.inodes.put(`${fid}/data`, 1)
+    await garden.inodes.put(`${fid}/nothing`, 10)
+    await garden.key2fs.put(Buffer.alloc(32).hexSlice(), '7')
+    await defer(d => storage('9/data').write(0, Buffer.from('orphan'), d))
+    await garden.inodes.put('9/data', 6)
+
+    report = await garden.check()
+    t.notOk(report.ok, 'inconsistencies detected')
+    const types = report.issues.map(i => i.type).sort()
+    t.deepEqual(types, ['missing-file', 'missing-meta', 'orphan', 'size-mismatch'])
+    const mismatch = report.issues.find(i => i.type === 'size-mismatch')
+    t.equal(mismatch.expected, 1)
+    t.equal(mismatch.actual, 5)
+
+    report = await garden.check({ repair: true })
+    t.ok(report.issues.every(i => i.repaired), 'all issues repaired')
+    report = await garden.check()
+    t.ok(report.ok, 'consistent after repair')
+    t.equal(await garden.sizeOf(feed.key), size, 'sizes corrected')
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('gc removes orphaned and deleted files', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const feed = await garden.plant('hypercore')
+    const doomed = await garden.plant('hypercore')
+    await garden.purge(doomed.key)
+
+    // Simulate a crashed plant and an interrupted purge
+    const fid = await garden.key2fs.get(doomed.key.hexSlice())
+    await defer(d => storage(`${fid}/data`).write(0, Buffer.from('leftover'), d))
+    await garden.inodes.put(`${fid}/data`, 8)
+    await defer(d => storage('9/data').write(0, Buffer.from('orphan'), d))
+    await garden.inodes.put('9/data', 6)
+
+    const size = await garden.sizeOf(feed.key)
+    t.equal(await garden.gc(), 14, 'reports reclaimed bytes')
+    t.equal(await garden.gc(), 0, 'nothing left to collect')
+    t.equal(await garden.sizeOf(feed.key), size, 'live cores untouched')
+    t.ok((await garden.check()).ok, 'index consistent after gc')
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('idle cores are unloaded', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, {
+      mappers: { hypercore },
+      maxOpenCores: 2,
+      idleTimeout: 50
+    })
+    const a = await garden.plant('hypercore')
+    await a.release()
+    t.notOk(a.closed, 'released core kept open while idle')
+    const b = await garden.plant('hypercore')
+    await b.release()
+    const c = await garden.plant('hypercore')
+    t.ok(a.closed, 'least recently released core unloaded above limit')
+    t.notOk(b.closed, 'other idle core kept')
+
+    const reloaded = await garden.get(a.key)
+    t.equal(reloaded.key.hexSlice(), a.key.hexSlice(), 'unloaded core reloads on get')
+    t.ok(b.closed, 'limit enforced on reload')
+
+    // Replicating cores are never unloaded
+    const remote = hypercore(RAM, c.key)
+    const stream = c.replicate({ live: true })
+    stream.pipe(remote.replicate({ live: true })).pipe(stream)
+    await defer(d => c.once('peer-add', () => d()))
+    await c.release()
+    await reloaded.release()
+    await defer(d => setTimeout(d, 150))
+    t.ok(reloaded.closed, 'idle core unloaded after timeout')
+    t.notOk(c.closed, 'replicating core kept open')
+    stream.destroy()
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('encrypted keystore', async t => {
+  let { storage, lvl } = await makeFileStore(true)
+  try {
+    const gopts = { mappers: { hypercore }, secrets: { passphrase: 'correct horse' } }
+    let garden = Garden(storage, lvl, gopts)
+    const feed = await garden.plant('hypercore')
+    const secretKey = feed.secretKey.hexSlice()
+    const id = `${feed.key.hexSlice()}:secret_key`
+    t.deepEqual(await garden.externalSecrets.list(), [id], 'secret stored in keystore')
+    const stored = await garden.externalSecrets.secrets.get(id)
+    t.equal(stored.data.indexOf(secretKey), -1, 'secret encrypted at rest')
+    await garden.close()
+
+    lvl = (await makeFileStore(false)).lvl
+    garden = Garden(storage, lvl, Object.assign({}, gopts, { secrets: { passphrase: 'wrong' } }))
+    try {
+      await garden.get(feed.key)
+      t.fail('wrong passphrase should fail')
+    } catch (err) {
+      t.equal(err.type, 'InvalidPassphraseError', 'wrong passphrase refused')
+    }
+    await garden.close()
+
+    lvl = (await makeFileStore(false)).lvl
+    garden = Garden(storage, lvl, gopts)
+    const core = await garden.get(feed.key)
+    t.equal(core.secretKey.hexSlice(), secretKey, 'secret read back from keystore')
+    await defer(d => core.append(Buffer.from('signed'), d))
+    await garden.purge(feed.key)
+    t.deepEqual(await garden.externalSecrets.list(), [], 'purge deletes secrets')
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('migrate and rotate secrets', async t => {
+  let { storage, lvl } = await makeFileStore(true)
+  try {
+    let garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const feed = await garden.plant('hypercore')
+    const secretKey = feed.secretKey.hexSlice()
+    const remote = hypercore(RAM)
+    await defer(d => remote.ready(d))
+    const mirror = await garden.plant('hypercore', remote.key)
+    const key = feed.key.hexSlice()
+
+    const report = await garden.migrateSecrets(null, { passphrase: 'first' }, { dryRun: true })
+    t.deepEqual(report.writable, [key], 'dry run reports cores with secrets')
+    t.deepEqual(report.readOnly, [mirror.key.hexSlice()], 'dry run reports read-only cores')
+    t.equal(report.migrated, 0, 'dry run migrates nothing')
+
+    t.equal((await garden.migrateSecrets(null, { passphrase: 'first' })).migrated, 1, 'secret migrated')
+    t.deepEqual(await garden.externalSecrets.list(), [`${key}:secret_key`], 'secret moved to keystore')
+    const fid = await garden.key2fs.get(key)
+    try {
+      await defer(d => storage(`${fid}/secret_key`).read(0, 64, d))
+      t.fail('local secret should be removed')
+    } catch (err) {
+      t.ok(err, 'local secret removed')
+    }
+
+    try {
+      await garden.rotateSecretsKey('wrong', 'second')
+      t.fail('wrong passphrase should fail')
+    } catch (err) {
+      t.equal(err.type, 'InvalidPassphraseError', 'old passphrase verified')
+    }
+    t.equal((await garden.rotateSecretsKey('first', 'second')).migrated, 1, 'secret re-encrypted')
+    await garden.close()
+
+    lvl = (await makeFileStore(false)).lvl
+    garden = Garden(storage, lvl, { mappers: { hypercore }, secrets: { passphrase: 'second' } })
+    const core = await garden.get(feed.key)
+    t.equal(core.secretKey.hexSlice(), secretKey, 'secret readable under new passphrase')
+    await core.release()
+    await garden.migrateSecrets(garden.externalSecrets, null)
+    t.notOk(garden.externalSecrets, 'garden switched to local secrets')
+    t.ok((await garden.check()).ok, 'secret restored to local storage')
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('migrates unpadded storage namespaces', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    let garden = Garden(storage, lvl, { mappers: { hypercore } })
+    await garden.ready()
+    // Lay out cores the way gardens of schema v1 did
+    const keys = {}
+    for (const fid of [1, 10]) {
+      const feed = hypercore(name => storage(`${fid}/${name}`))
+      await defer(d => feed.append(Buffer.from(`core ${fid}`), d))
+      await defer(d => feed.close(d))
+      keys[fid] = feed.key.hexSlice()
+      await garden.key2fs.put(keys[fid], fid)
+      await garden.meta.put(keys[fid], { type: 'hypercore', createdAt: new Date() })
+      for (const name of readdirSync(join(prefix, `${fid}`))) {
+        await garden.inodes.put(`${fid}/${name}`, statSync(join(prefix, `${fid}`, name)).size)
+      }
+    }
+    await garden.glob.put('feed_inc', 10)
+    await garden.glob.put('schema_version', 1)
+
+    garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const dry = await garden.migrate({ dryRun: true })
+    t.deepEqual(dry.steps.map(s => [s.version, s.namespaces]), [[2, 2]], 'dry run reports namespaces')
+    await garden.migrate()
+    t.equal(await garden.key2fs.get(keys[10]), '0000000010', 'namespace padded')
+    t.notOk(existsSync(join(prefix, '1', 'data')), 'old files removed')
+    for (const fid of [1, 10]) {
+      const core = await garden.get(keys[fid])
+      const data = await defer(d => core.get(0, d))
+      t.equal(data.toString(), `core ${fid}`, `core ${fid} readable after migration`)
+      await core.release()
+    }
+    t.ok((await garden.check()).ok, 'index consistent after migration')
+    await garden.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('inode sizes are flushed and recovered', async t => {
+  let { storage, lvl } = await makeFileStore(true)
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore }, syncInterval: 60000 })
+    const feed = await garden.plant('hypercore')
+    const fid = await garden.key2fs.get(feed.key.hexSlice())
+    const size = async () => parseInt(await garden.inodes.get(`${fid}/data`).catch(() => 0))
+    await Promise.all([
+      defer(d => feed.append(Buffer.alloc(300), d)),
+      defer(d => feed.append(Buffer.alloc(200), d))
+    ])
+    t.equal(await size(), 0, 'sizes held in memory until flushed')
+    await garden.flush()
+    t.equal(await size(), 500, 'concurrent writes coalesced')
+
+    // Crash before the next flush
+    await defer(d => feed.append(Buffer.alloc(100), d))
+    const fresh = await garden.plant('hypercore')
+    await defer(d => fresh.append(Buffer.alloc(100), d))
+    await defer(d => lvl.close(d))
+    lvl = (await makeFileStore(false)).lvl
+
+    const recovered = Garden(storage, lvl, { mappers: { hypercore } })
+    await recovered.ready()
+    t.equal(parseInt(await recovered.inodes.get(`${fid}/data`)), 600, 'sizes recovered from storage')
+    t.notEqual((await recovered.listFiles(fresh.key)).indexOf('data'), -1, 'files created since the last flush are known')
+    t.ok(await recovered.sizeOf(fresh.key) >= 100, 'their sizes are recovered')
+    t.ok((await recovered.check()).ok, 'index consistent after recovery')
+    await recovered.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('command-line tool', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  const run = async (...argv) => {
+    const stdout = new PassThrough()
+    const stderr = new PassThrough()
+    const chunks = []
+    stdout.on('data', chunk => chunks.push(chunk))
+    stderr.on('data', chunk => chunks.push(chunk))
+    const code = await cli([...argv, `--dir=${prefix}`], { stdout, stderr })
+    const output = Buffer.concat(chunks).toString()
+    return { code, output, json: () => JSON.parse(output) }
+  }
+  try {
+    const garden = Garden(storage, lvl, { mappers: { hypercore } })
+    const feed = await garden.plant('hypercore')
+    await defer(d => feed.append(Buffer.from('hello'), d))
+    const other = await garden.plant('hypercore')
+    const key = feed.key.hexSlice()
+    await garden.close()
+
+    const ls = (await run('ls', '--json')).json()
+    t.deepEqual(ls.map(e => e.key).sort(), [key, other.key.hexSlice()].sort(), 'ls lists cores')
+    t.ok(ls.find(e => e.key === key).size > 0, 'ls includes sizes')
+    t.ok((await run('ls')).output.indexOf(`${key}\thypercore`) !== -1, 'ls prints a table')
+    t.equal((await run('info', key, '--json')).json().type, 'hypercore', 'info shows meta')
+    t.notEqual((await run('files', key)).output.split('\n').indexOf('data'), -1, 'files lists files')
+    t.equal((await run('du', '--json')).json().cores, 2, 'du reports usage')
+
+    t.equal((await run('pin', key)).output, `pinned ${key}\n`, 'pins cores')
+    t.equal((await run('purge', key)).code, 1, 'failures exit with code 1')
+    await run('unpin', key)
+
+    const archive = join(prefix, 'core.garden')
+    await run('export', key, archive)
+    t.equal((await run('ban', other.key.hexSlice(), '--reason=spam')).code, 0, 'bans cores')
+    t.equal((await run('ls', '--banned', '--json')).json().length, 1, 'ls filters banned cores')
+    t.equal((await run('purge', key)).code, 0, 'purges cores')
+    t.equal((await run('gc', '--json')).json().reclaimed, 0, 'gc reports reclaimed bytes')
+    t.equal((await run('check')).output, 'ok\n', 'check reports consistency')
+    t.equal((await run('import', archive, '--json')).json().key, key, 'imports archives')
+    t.equal((await run('bogus')).code, 1, 'unknown commands print usage')
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('versioned mappers persist plant options', async t => {
+  const { storage, lvl } = await makeFileStore(true)
+  try {
+    const json = { factory: hypercore, version: 2, defaults: { valueEncoding: 'json' } }
+    const garden = Garden(storage, lvl, { mappers: { hypercore: json } })
+    const feed = await garden.plant('hypercore')
+    await defer(d => feed.append({ hello: 'world' }, d))
+    const text = await garden.plant('hypercore', { valueEncoding: 'utf-8', sparse: true })
+    await defer(d => text.append('hello', d))
+    const meta = await garden.getMeta(feed.key)
+    t.equal(meta.typeVersion, 2, 'mapper version recorded')
+    t.deepEqual(meta.options, { valueEncoding: 'json' }, 'defaults recorded')
+    t.deepEqual((await garden.getMeta(text.key)).options, { valueEncoding: 'utf-8', sparse: true }, 'options recorded')
+    try {
+      await garden.plant('hypertrie')
+      t.fail('unknown types should not be planted')
+    } catch (err) {
+      t.equal(err.type, 'UnknownTypeError', 'unknown types are refused')
+    }
+    await garden.close()
+
+    // Reopen without defaults, stored options are reapplied
+    let reopened = await makeFileStore()
+    const plain = Garden(reopened.storage, reopened.lvl)
+    plain.registerType('hypercore', hypercore)
+    plain.registerType('hypercore', { factory: hypercore, version: 2 })
+    const loaded = await plain.get(feed.key)
+    t.deepEqual(await defer(d => loaded.get(0, d)), { hello: 'world' }, 'valueEncoding reapplied')
+    const loadedText = await plain.get(text.key)
+    t.equal(await defer(d => loadedText.get(0, d)), 'hello', 'options are per core')
+    t.equal(loadedText.sparse, true, 'all stored options reapplied')
+    await plain.close()
+
+    reopened = await makeFileStore()
+    const outdated = Garden(reopened.storage, reopened.lvl, { mappers: { hypercore } })
+    try {
+      await outdated.get(feed.key)
+      t.fail('cores should not load with another mapper version')
+    } catch (err) {
+      t.equal(err.type, 'UnknownTypeError', 'missing mapper version is reported')
+      t.ok(/version 2/.test(err.message), 'error names the version')
+    }
+    await outdated.close()
+  } catch (err) {
+    t.error(err)
+  } finally {
+    await destroyFileStore()
+  }
+  t.end()
+})
+
+test('options offered by peers are limited to the mapper', async t => {
+  const remote = hypercore(RAM)
+  await defer(d => remote.ready(d))
+  const meta = { origin: 'garden', type: 'hypercore', typeVersion: 1, options: { valueEncoding: 'json', sparse: true } }
+  const offer = garden => defer(d => garden.store({ key: remote.key.hexSlice(), meta }, d))
+
+  const accepting = Garden(RAM, memdb(), {
+    mappers: { hypercore: { factory: hypercore, peerOptions: ['valueEncoding'] } }
+  })
+  await offer(accepting)
+  t.deepEqual((await accepting.getMeta(remote.key)).options, { valueEncoding: 'json' }, 'only declared options accepted')
+
+  const plain = Garden(RAM, memdb(), { mappers: { hypercore } })
+  await offer(plain)
+  t.deepEqual((await plain.getMeta(remote.key)).options, {}, 'peer options ignored by default')
+  t.end()
+})
+
 // TODO: Skipped until decentpass is released
 // which is sad since this is a pretty extensive and useful
 // test. maybe replace all instances of pass with trie